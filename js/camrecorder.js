@@ -6,6 +6,8 @@
  * @class
  * @requires mjpegaudio.js (for Safari only)
  * @requires recorder.js (for audio support in Safari only)
+ * @requires gifencoder.js (for GIF export only)
+ * @requires tusupload.js (for resumable uploads only)
  *
  * -- MIT License
  *
@@ -33,58 +35,542 @@
 (function(root) {
 
 	/**
+	 * Decodes an image blob
+	 * @param {Blob} blob
+	 * @returns {Promise} resolves with an ImageBitmap or HTMLImageElement
+	 */
+	var decodeImage = function(blob){
+		if (window.createImageBitmap) return createImageBitmap(blob);
+		return new Promise((resolve, reject) => {
+			var img = new Image();
+			var url = window.URL.createObjectURL(blob);
+			img.onload = () => {
+				window.URL.revokeObjectURL(url);
+				resolve(img);
+			};
+			img.onerror = (e) => {
+				window.URL.revokeObjectURL(url);
+				reject(e);
+			};
+			img.src = url;
+		});
+	};
+
+	/**
+	 * Encodes the content of a canvas
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {string} type - mime type, browsers fall back to PNG for unsupported types
+	 * @param {number} quality - from 0 to 1, for JPEG and WebP
+	 * @returns {Promise} resolves with the image as blob
+	 */
+	var canvasToBlob = function(canvas, type, quality){
+		if (canvas.toBlob){
+			return new Promise((resolve, reject) => canvas.toBlob((blob) => {
+				if (blob) resolve(blob);
+				else reject(new Error('The canvas couldn\'t be encoded'));
+			}, type, quality));
+		}
+		var dataURL = canvas.toDataURL(type, quality);
+		var binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+		var bytes = new Uint8Array(binary.length);
+		for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return Promise.resolve(new Blob([bytes], {type: dataURL.slice(5, dataURL.indexOf(';'))}));
+	};
+
+	/**
+	 * Codecs checked by CamRecorder.getCapabilities, per container
+	 */
+	var VIDEO_CODECS = {webm: ['vp9', 'vp8', 'av01', 'h264'], mp4: ['avc1', 'hvc1', 'av01', 'vp9']};
+	var AUDIO_CODECS = {webm: ['opus'], mp4: ['mp4a.40.2', 'opus'], ogg: ['opus']};
+
+	/**
+	 * @param {string} mimeType
+	 * @returns {string} the file extension for the mime type, empty for an empty mime type
+	 */
+	var getContainer = function(mimeType){
+		var type = mimeType.split(';')[0].trim();
+		var containers = {'audio/mp4': 'm4a', 'video/ogg': 'ogv', 'video/x-matroska': 'mkv', 'video/quicktime': 'mov'};
+		return containers[type] || type.split('/')[1] || '';
+	};
+
+	/**
+	 * @param {string[]} mimeTypes - in order of preference
+	 * @returns {string} the first one MediaRecorder supports, or undefined
+	 */
+	var selectMimeType = function(mimeTypes){
+		for (var i=0;i<mimeTypes.length;i++){
+			if (MediaRecorder.isTypeSupported(mimeTypes[i])) return mimeTypes[i];
+		}
+	};
+
+	/**
+	 * Codes of CamRecorderErrors
+	 */
+	var ErrorCode = {
+		PERMISSION_DENIED: 'permission-denied', // the user or the browser denied access to camera/microphone
+		NO_DEVICE: 'no-device', // no camera/microphone found
+		DEVICE_IN_USE: 'device-in-use', // the device couldn't be opened, e.g. because another app uses it
+		OVERCONSTRAINED: 'overconstrained', // no device satisfies the requested constraints
+		UNSUPPORTED: 'unsupported', // getUserMedia isn't available, e.g. on pages not served via HTTPS
+		UNSUPPORTED_MIME_TYPE: 'unsupported-mime-type', // MediaRecorder doesn't support the mime type
+		INVALID_STATE: 'invalid-state', // the method can't be called in the current state
+		RECORDING_FAILED: 'recording-failed', // recording or encoding failed
+		UPLOAD_FAILED: 'upload-failed', // network error or HTTP error status, see error.status and error.response
+		PHOTO_FAILED: 'photo-failed', // taking a photo failed
+		STORAGE_FAILED: 'storage-failed', // reading from or writing to IndexedDB failed (RecordingStore)
+		ABORTED: 'aborted', // the operation was aborted with an AbortSignal
+		UNKNOWN: 'unknown'
+	};
+
+	/**
+	 * Error with a code from CamRecorder.ErrorCode
+	 * @constructor
+	 * @param {string} code
+	 * @param {string} message
+	 * @param {object} [cause] - the original error
+	 */
+	var CamRecorderError = function(code, message, cause){
+		this.name = 'CamRecorderError';
+		this.code = code;
+		this.message = message;
+		this.cause = cause;
+		this.stack = (new Error(message)).stack;
+	};
+	CamRecorderError.prototype = Object.create(Error.prototype);
+	CamRecorderError.prototype.constructor = CamRecorderError;
+
+	/**
+	 * Converts a getUserMedia error (names differ between browsers and versions)
+	 * @param {object} e
+	 * @returns {CamRecorderError}
+	 */
+	var toDeviceError = function(e){
+		if (e instanceof CamRecorderError) return e;
+		switch (e && e.name){
+			case 'NotAllowedError':
+			case 'PermissionDeniedError':
+			case 'SecurityError':
+				return new CamRecorderError(ErrorCode.PERMISSION_DENIED, 'Access to camera or microphone was denied', e);
+			case 'NotFoundError':
+			case 'DevicesNotFoundError':
+				return new CamRecorderError(ErrorCode.NO_DEVICE, 'No camera or microphone found', e);
+			case 'NotReadableError':
+			case 'TrackStartError':
+			case 'AbortError':
+				return new CamRecorderError(ErrorCode.DEVICE_IN_USE, 'Camera or microphone couldn\'t be started', e);
+			case 'OverconstrainedError':
+			case 'ConstraintNotSatisfiedError':
+				return new CamRecorderError(ErrorCode.OVERCONSTRAINED, 'No device supports the requested settings' + (e.constraint ? ' (' + e.constraint + ')' : ''), e);
+		}
+		return new CamRecorderError(ErrorCode.UNKNOWN, (e && e.message) || 'Initializing the devices failed', e);
+	};
+
+	/**
+	 * @returns {object} an EventTarget, or a DocumentFragment in browsers that can't construct EventTargets
+	 */
+	var createEventTarget = function(){
+		try {
+			return new EventTarget();
+		} catch (e) {
+			return document.createDocumentFragment();
+		}
+	};
+
+	/**
+	 * Creates a WAV file from 16-bit PCM chunks of the Recorder
+	 * @param {Array} chunks - [blob, numChannels, sampleRate, format] arrays
+	 * @param {number} numChannels
+	 * @param {number} sampleRate
+	 * @returns {Blob}
+	 */
+	var createWAV = function(chunks, numChannels, sampleRate){
+		var size = chunks.reduce((sum, chunk) => sum + chunk[0].size, 0);
+		var view = new DataView(new ArrayBuffer(44));
+		var writeString = (offset, str) => {
+			for (var i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+		};
+		writeString(0, 'RIFF');
+		view.setUint32(4, 36 + size, true);
+		writeString(8, 'WAVE');
+		writeString(12, 'fmt ');
+		view.setUint32(16, 16, true);
+		view.setUint16(20, 1, true); // PCM
+		view.setUint16(22, numChannels, true);
+		view.setUint32(24, sampleRate, true);
+		view.setUint32(28, sampleRate * numChannels * 2, true);
+		view.setUint16(32, numChannels * 2, true);
+		view.setUint16(34, 16, true);
+		writeString(36, 'data');
+		view.setUint32(40, size, true);
+		return new Blob([view].concat(chunks.map((chunk) => chunk[0])), {type: 'audio/wav'});
+	};
+
+	/**
+	 * Parses the response of an XHR depending on its content type
+	 * @param {XMLHttpRequest} xhr
+	 * @returns {*} the parsed JSON or the response text
+	 */
+	var parseResponse = function(xhr){
+		var type = xhr.getResponseHeader('Content-Type') || '';
+		if (/[/+]json\b/.test(type)) {
+			try {
+				return JSON.parse(xhr.responseText);
+			} catch (e) {} // fall through and return the text
+		}
+		return xhr.responseText;
+	};
+
+	/**
+	 * Sends a single upload request
+	 * @param {string} url
+	 * @param {FormData|Blob} body
+	 * @param {object} options - see CamRecorder.prototype.upload
+	 * @returns {Promise} resolves with the parsed response, rejects with a CamRecorderError
+	 */
+	var sendRequest = function(url, body, options){
+		return new Promise((resolve, reject) => {
+			var signal = options.signal;
+			if (signal && signal.aborted) {
+				return reject(new CamRecorderError(ErrorCode.ABORTED, 'The upload was aborted'));
+			}
+			var xhr = new XMLHttpRequest();
+			var onabort = () => xhr.abort();
+			var done = (fn, value) => {
+				if (signal) signal.removeEventListener('abort', onabort);
+				fn(value);
+			};
+			var fail = (message) => {
+				var e = new CamRecorderError(ErrorCode.UPLOAD_FAILED, message);
+				e.status = xhr.status;
+				e.response = xhr.status ? parseResponse(xhr) : null;
+				done(reject, e);
+			};
+			xhr.onload = () => {
+				if (xhr.status >= 200 && xhr.status < 300) done(resolve, parseResponse(xhr));
+				else fail('The upload failed with HTTP status ' + xhr.status);
+			};
+			xhr.onerror = () => fail('The upload failed because of a network error');
+			xhr.ontimeout = () => fail('The upload timed out');
+			xhr.onabort = () => done(reject, new CamRecorderError(ErrorCode.ABORTED, 'The upload was aborted'));
+			if (xhr.upload && options.onprogress) {
+				xhr.upload.onprogress = (e) => {
+					if (e.lengthComputable) options.onprogress(e.loaded, e.total);
+				};
+			}
+			xhr.open(options.method, url);
+			xhr.withCredentials = options.credentials == 'include';
+			if (options.timeout) xhr.timeout = options.timeout;
+			for (var k in options.headers) xhr.setRequestHeader(k, options.headers[k]);
+			if (signal) signal.addEventListener('abort', onabort);
+			xhr.send(body);
+		});
+	};
+
+	/**
+	 * @param {number} ms
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise} resolves after ms milliseconds, rejects with an ABORTED error if the signal is aborted before
+	 */
+	var wait = function(ms, signal){
+		return new Promise((resolve, reject) => {
+			var onabort = () => {
+				clearTimeout(timer);
+				reject(new CamRecorderError(ErrorCode.ABORTED, 'The upload was aborted'));
+			};
+			if (signal && signal.aborted) return onabort();
+			var timer = setTimeout(() => {
+				if (signal) signal.removeEventListener('abort', onabort);
+				resolve();
+			}, ms);
+			if (signal) signal.addEventListener('abort', onabort);
+		});
+	};
+
+	/**
+	 * Normalizes an overlay (see the overlays option of CamRecorder)
+	 * @param {object} overlay
+	 * @returns {object} a copy with defaults, image URLs are loaded
+	 */
+	var createOverlay = function(overlay){
+		overlay = Object.assign({
+			type: overlay.draw ? 'draw' : overlay.image ? 'image' : 'text',
+			position: 'top-left',
+			margin: 10,
+			opacity: 1,
+			font: '16px sans-serif',
+			color: 'white',
+			background: null,
+			padding: 4
+		}, overlay);
+		if (typeof overlay.image == 'string'){
+			var img = new Image();
+			img.crossOrigin = 'anonymous'; // otherwise the canvas gets tainted
+			img.src = overlay.image;
+			overlay.image = img;
+		}
+		return overlay;
+	};
+
+	/**
+	 * Replaces {date}, {time}, {datetime}, {iso} and {elapsed} (recording time as m:ss)
+	 * @param {string|function} text - a function is called with the info and returns the text
+	 * @param {object} info - {date, elapsed, width, height}
+	 * @returns {string}
+	 */
+	var formatOverlayText = function(text, info){
+		if (typeof text == 'function') return String(text(info));
+		var seconds = Math.floor(info.elapsed / 1000);
+		var values = {
+			date: info.date.toLocaleDateString(),
+			time: info.date.toLocaleTimeString(),
+			datetime: info.date.toLocaleString(),
+			iso: info.date.toISOString(),
+			elapsed: Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2)
+		};
+		return String(text).replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+	};
+
+	/**
+	 * @param {number} n
+	 * @returns {number} n rounded to an even number, video encoders need even sizes
+	 */
+	var even = function(n){
+		return Math.max(2, Math.round(n / 2) * 2);
+	};
+
+	/**
+	 * @param {object} overlay
+	 * @param {number} w - width of the overlay
+	 * @param {number} h - height of the overlay
+	 * @param {number} width - width of the frame
+	 * @param {number} height - height of the frame
+	 * @returns {object} {x, y} of the top left corner, from overlay.x/y or overlay.position
+	 */
+	var placeOverlay = function(overlay, w, h, width, height){
+		if (overlay.x !== undefined || overlay.y !== undefined) return {x: overlay.x || 0, y: overlay.y || 0};
+		var pos = overlay.position;
+		var m = overlay.margin;
+		return {
+			x: /left/.test(pos) ? m : /right/.test(pos) ? width - w - m : (width - w) / 2,
+			y: /top/.test(pos) ? m : /bottom/.test(pos) ? height - h - m : (height - h) / 2
+		};
+	};
+
+	/**
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} overlay - normalized by createOverlay
+	 * @param {object} info - {date, elapsed, width, height}
+	 */
+	var drawOverlay = function(ctx, overlay, info){
+		var w, h, pos;
+		ctx.globalAlpha = overlay.opacity;
+		switch (overlay.type){
+			case 'text':
+				var text = formatOverlayText(overlay.text, info);
+				ctx.font = overlay.font;
+				ctx.textBaseline = 'top';
+				var fontSize = parseInt((overlay.font.match(/(\d+)px/) || [0, 16])[1], 10);
+				w = ctx.measureText(text).width + 2 * overlay.padding;
+				h = fontSize + 2 * overlay.padding;
+				pos = placeOverlay(overlay, w, h, info.width, info.height);
+				if (overlay.background){
+					ctx.fillStyle = overlay.background;
+					ctx.fillRect(pos.x, pos.y, w, h);
+				}
+				ctx.fillStyle = overlay.color;
+				ctx.fillText(text, pos.x + overlay.padding, pos.y + overlay.padding);
+				break;
+			case 'image':
+				var img = overlay.image;
+				var naturalWidth = img.naturalWidth || img.width;
+				var naturalHeight = img.naturalHeight || img.height;
+				if (!naturalWidth || img.complete === false) return; // not loaded yet
+				w = overlay.width || (overlay.height ? overlay.height * naturalWidth / naturalHeight : naturalWidth);
+				h = overlay.height || w * naturalHeight / naturalWidth;
+				pos = placeOverlay(overlay, w, h, info.width, info.height);
+				ctx.drawImage(img, pos.x, pos.y, w, h);
+				break;
+			case 'draw':
+				overlay.draw(ctx, info);
+				break;
+		}
+	};
+
+	/**
+	 * Fires the events ready, start, stop ({blob}), pause, resume, dataavailable ({data}),
+	 * error ({error}), statechange ({state, previousState}), devicechange, level, silence
+	 * and autostop, the event details are passed in event.detail. Instead of adding listeners,
+	 * callbacks can also be passed as options (on<type>), they receive the detail.
 	 * @constructor
 	 * @param {object} videoElement
 	 * @param {boolean} recordAudio
 	 * @param {number} videoWidth
 	 * @param {number} videoHeight
 	 * @param {number} fps
+	 * @param {object} [options]
+	 * @param {string} [options.audioEncoding='pcm'] - audio encoding in AVIs: 'pcm', 'ima-adpcm', 'mulaw' or 'alaw'
+	 * @param {boolean} [options.audioOnly=false] - record only audio (webm/opus, m4a/aac or ogg/opus, fallback is wav)
+	 * @param {number} [options.audioSampleRate] - sample rate of the fallback audio (AVI/wav), default is the AudioContext rate
+	 * @param {number} [options.audioChannels=2] - channels of the fallback audio (AVI/wav), 1 or 2
+	 * @param {function} [options.onlevel] - called every levelInterval ms with the input level {rms, peak, db}
+	 * @param {number} [options.levelInterval=100] - in ms
+	 * @param {number} [options.silenceThreshold=-50] - in dBFS, input with a lower RMS level counts as silence
+	 * @param {number} [options.silenceDuration=3] - in seconds
+	 * @param {function} [options.onsilence] - called with {duration} when the input was silent for silenceDuration while recording
+	 * @param {boolean} [options.autoStopOnSilence=false] - stops recording after silenceDuration seconds of silence
+	 * @param {function} [options.onautostop] - called with {reason, blob} when the recording was stopped automatically,
+	 * reason is 'silence', 'maxDuration' or 'maxBytes'
+	 * @param {function} [options.onerror] - called with {error}, a CamRecorderError
+	 * @param {string} [options.cameraId] - deviceId of the camera, see CamRecorder.getDevices
+	 * @param {string} [options.facingMode] - 'user' (front camera) or 'environment' (back camera), if no cameraId is set
+	 * @param {string} [options.microphoneId] - deviceId of the microphone
+	 * @param {number} [options.maxDurationMs=0] - stops recording automatically (autostop event) after this
+	 * recording time (without pauses), 0 for no limit
+	 * @param {number} [options.maxBytes=0] - stops recording automatically once the recording reaches this
+	 * size, the file can exceed it by about one second of data and the container headers. 0 for no limit.
+	 * @param {number} [options.timeslice=0] - if set, a dataavailable event is fired every timeslice ms while
+	 * recording. With MediaRecorder the chunks have to be joined to get a playable file, the AVI fallback
+	 * passes standalone AVIs (with the frames and audio of the timeslice) and the wav fallback standalone wavs.
+	 * @param {object[]} [options.overlays] - drawn onto each frame, in this order, see setOverlays. With
+	 * MediaRecorder the video is then recorded from a canvas (requires canvas.captureStream).
+	 * @param {boolean} [options.mirror=false] - flips the video horizontally, like the usual front camera preview
+	 * @param {number} [options.rotate=0] - rotates the video clockwise by 90, 180 or 270 degrees
+	 * @param {number|string} [options.aspectRatio] - aspect ratio of the output as number or 'w:h', e.g. '9:16'
+	 * @param {string} [options.fit='crop'] - 'crop' (center crop) or 'letterbox' to get the aspectRatio
+	 * @param {string} [options.letterboxColor='black']
+	 * @param {number} [options.outputWidth] - exact output size, the video is scaled (and cropped or
+	 * letterboxed), if only one is set the other one is calculated from the aspect ratio.
+	 * @param {number} [options.outputHeight]
+	 * Transforms (mirror, rotate, aspectRatio and the output size) are applied when drawing the
+	 * frames, so like overlays they make MediaRecorder record from a canvas.
+	 * @param {string[]} [options.mimeTypes] - preferred MediaRecorder mime types, e.g.
+	 * ['video/mp4;codecs=avc1,mp4a.40.2'], the first supported one is used, otherwise the default
+	 * order (vp9, vp8, webm, h264, mp4). Only video/ types are used for videos, audio/ types for
+	 * audio-only recordings. See CamRecorder.getCapabilities and getRecordingSettings.
+	 * @param {number} [options.videoBitsPerSecond] - video bitrate for MediaRecorder, default is the browser's choice
+	 * @param {number} [options.audioBitsPerSecond] - audio bitrate for MediaRecorder
+	 * @param {number} [options.jpegQuality=0.92] - quality of the frames in the AVI fallback, from 0 to 1
 	 */
-	var CamRecorder = function(videoElement, recordAudio, videoWidth, videoHeight, fps){
+	var CamRecorder = function(videoElement, recordAudio, videoWidth, videoHeight, fps, options){
 
 		this._hasMediaRecorder = typeof window.MediaRecorder != 'undefined';
-		console.log('Native MediaRecorder: '+(this._hasMediaRecorder?'yes':'no'));
+		this._events = createEventTarget();
+		this._state = 'inactive';
 
 		this._videoElement = videoElement;
 		this._videoWidth = videoWidth;
 		this._videoHeight = videoHeight;
+		// requested size, the actual size depends on the camera
+		this._requestedWidth = videoWidth;
+		this._requestedHeight = videoHeight;
 		this._fps = fps;
 		this._audio = recordAudio;
+		this._options = Object.assign({
+			audioEncoding: 'pcm',
+			audioOnly: false,
+			audioChannels: 2,
+			levelInterval: 100,
+			silenceThreshold: -50,
+			silenceDuration: 3,
+			autoStopOnSilence: false,
+			maxDurationMs: 0,
+			maxBytes: 0,
+			timeslice: 0,
+			overlays: [],
+			mirror: false,
+			rotate: 0,
+			fit: 'crop',
+			letterboxColor: 'black',
+			mimeTypes: [],
+			jpegQuality: 0.92
+		}, options);
+		this._options.mimeTypes = [].concat(this._options.mimeTypes || []);
+		// only multiples of 90 degrees
+		this._rotation = ((Math.round(this._options.rotate / 90) * 90) % 360 + 360) % 360;
+		this._audioOnly = this._options.audioOnly;
+		// the preferred mime types of the recorded kind
+		var preferred = this._options.mimeTypes.filter((type) => type.indexOf(this._audioOnly ? 'audio/' : 'video/') == 0);
+		this.setOverlays(this._options.overlays);
+		if (this._audioOnly) this._audio = true;
 
-		if (this._hasMediaRecorder){
-			if (MediaRecorder.isTypeSupported){
-				this._container = 'webm';
-				this._mimeType = 'video/webm;codecs=vp9' + (this._audio?',opus':'');
-				if (!MediaRecorder.isTypeSupported(this._mimeType)) {
-					this._mimeType = 'video/webm;codecs=vp8' + (this._audio?',opus':'');
-					if (!MediaRecorder.isTypeSupported(this._mimeType)) {
-						this._mimeType = 'video/webm';
-						if (!MediaRecorder.isTypeSupported(this._mimeType)) {
-							this._mimeType = '';
-						}
-					}
+		if (this._audioOnly){
+			if (this._hasMediaRecorder){
+				if (MediaRecorder.isTypeSupported){
+					this._mimeType = selectMimeType(preferred.concat([
+						'audio/webm;codecs=opus',
+						'audio/mp4;codecs=mp4a.40.2',
+						'audio/mp4',
+						'audio/ogg;codecs=opus'
+					]));
+					// none of them supported, use Recorder.js instead
+					if (this._mimeType) this._container = getContainer(this._mimeType);
+					else this._hasMediaRecorder = false;
+				}else{
+					// without isTypeSupported (early Safari) the first preference is tried, otherwise the
+					// browser's default, the mime type is read back when recording started
+					this._mimeType = preferred[0] || '';
+					this._container = getContainer(this._mimeType) || 'm4a';
 				}
+			}
+			if (!this._hasMediaRecorder){
+				this._mimeType = 'audio/wav';
+				this._container = 'wav';
+			}
+		}else if (this._hasMediaRecorder){
+			if (MediaRecorder.isTypeSupported){
+				var opus = this._audio ? ',opus' : '';
+				this._mimeType = selectMimeType(preferred.concat([
+					'video/webm;codecs=vp9' + opus,
+					'video/webm;codecs=vp8' + opus,
+					'video/webm',
+					'video/mp4;codecs=avc1' + (this._audio ? ',mp4a.40.2' : ''),
+					'video/mp4'
+				])) || '';
+				// an empty mime type leaves the choice to MediaRecorder, usually webm
+				this._container = getContainer(this._mimeType) || 'webm';
 			}else{
-				// assuming it's the experimental MediaRecorder in Safari
-				this._mimeType = 'video/mp4'; // ;codec=h264,aac
-				this._container = 'mp4';
+				// the experimental MediaRecorder in Safari, see the audio-only case above
+				this._mimeType = preferred[0] || '';
+				this._container = getContainer(this._mimeType) || 'mp4';
 			}
 		}else{
 			this._canvas = document.querySelector('#__recorder-canvas__');
 			if (!this._canvas){
 				this._canvas = document.createElement('canvas');
 				this._canvas.id = '__recorder-canvas__';
-				this._canvas.width = this._videoWidth;
-				this._canvas.height = this._videoHeight;
 				document.body.appendChild(this._canvas);
 				this._canvas.style = 'display: none';
 			}
+			// the canvas can be shared by several recorders, so its size is set here
+			var size = this._getOutputSize();
+			this._canvas.width = size.width;
+			this._canvas.height = size.height;
 			this._ctx = this._canvas.getContext('2d');
-			this._mimeType = 'video/avi;codec=mjpg' + (this._audio?',pcm':'');
+			this._mimeType = 'video/avi;codec=mjpg' + (this._audio?','+this._options.audioEncoding:'');
 			this._container = 'avi';
 		}
+	};
+
+	/**
+	 * The recorder state: 'inactive' (not initialized yet), 'initializing', 'ready',
+	 * 'recording', 'paused' or 'stopping'
+	 */
+	Object.defineProperty(CamRecorder.prototype, 'state', {
+		get: function(){
+			return this._state;
+		}
+	});
+
+	CamRecorder.prototype.addEventListener = function(type, listener, options){
+		this._events.addEventListener(type, listener, options);
+	};
+
+	CamRecorder.prototype.removeEventListener = function(type, listener, options){
+		this._events.removeEventListener(type, listener, options);
+	};
 
-		console.log('Using MimeType: '+this._mimeType);
+	CamRecorder.prototype.dispatchEvent = function(event){
+		return this._events.dispatchEvent(event);
 	};
 
 	CamRecorder.prototype.adaptDimensions = function(width, height) {
@@ -93,110 +579,901 @@
 		this._videoHeight = height;
 
 		if (this._canvas) {
-			this._canvas.width = this._videoWidth;
-			this._canvas.height = this._videoHeight;
+			var size = this._getOutputSize();
+			this._canvas.width = size.width;
+			this._canvas.height = size.height;
 		}
 	};
 
+	/**
+	 * @private
+	 * @returns {boolean} true if any transform option is set
+	 */
+	CamRecorder.prototype._hasTransform = function(){
+		var o = this._options;
+		return !!(o.mirror || this._rotation || o.aspectRatio || o.outputWidth || o.outputHeight);
+	};
+
+	/**
+	 * @returns {object} {width, height} of the recorded video after the transforms, depends on
+	 * the actual camera size, so it's only final after the devices are initialized
+	 */
+	CamRecorder.prototype.getOutputSize = function(){
+		return this._getOutputSize();
+	};
+
+	/**
+	 * @private
+	 * @param {number} [sourceWidth] - size of a photo, by default the video size is used
+	 * @param {number} [sourceHeight]
+	 * @returns {object} {width, height}
+	 */
+	CamRecorder.prototype._getOutputSize = function(sourceWidth, sourceHeight){
+		var o = this._options;
+		// photos keep the resolution of their source, only the aspect ratio of the output size applies
+		var photo = sourceWidth !== undefined;
+		if (!photo){
+			sourceWidth = this._videoWidth;
+			sourceHeight = this._videoHeight;
+		}
+		var rotated = this._rotation == 90 || this._rotation == 270;
+		var width = rotated ? sourceHeight : sourceWidth;
+		var height = rotated ? sourceWidth : sourceHeight;
+		var aspect = o.aspectRatio;
+		if (typeof aspect == 'string'){
+			var parts = aspect.split(':');
+			aspect = parts[0] / parts[1];
+		}
+		if (o.outputWidth && o.outputHeight){
+			if (!photo) return {width: o.outputWidth, height: o.outputHeight};
+			aspect = o.outputWidth / o.outputHeight;
+		}else if (!photo && (o.outputWidth || o.outputHeight)){
+			if (!aspect) aspect = width / height;
+			if (o.outputWidth) return {width: o.outputWidth, height: even(o.outputWidth / aspect)};
+			return {width: even(o.outputHeight * aspect), height: o.outputHeight};
+		}
+		if (!aspect) return {width: width, height: height};
+		// crop fits the output into the camera image, letterbox the camera image into the output
+		if ((width / height > aspect) == (o.fit == 'letterbox')){
+			return {width: width, height: even(width / aspect)};
+		}
+		return {width: even(height * aspect), height: height};
+	};
+
+	/**
+	 * Sets the overlays that are burned into the video. Changes apply immediately to a running
+	 * recording, but with MediaRecorder the first overlays have to be set before start.
+	 * Overlay types (the type is detected from the properties):
+	 * - text: {text, font='16px sans-serif', color='white', background, padding=4}, text can contain
+	 *   {date}, {time}, {datetime}, {iso} and {elapsed}, or be a function that returns the text
+	 * - image: {image (Image, ImageBitmap, canvas or URL), width, height}, by default the natural size
+	 * - draw: {draw}, a function called with (ctx, {date, elapsed, width, height})
+	 * Text and images are placed by {x, y} or by position ('top-left', 'top', 'top-right', 'left',
+	 * 'center', 'right', 'bottom-left', 'bottom', 'bottom-right') and margin=10, all take opacity=1.
+	 * @param {object[]} overlays
+	 */
+	CamRecorder.prototype.setOverlays = function(overlays){
+		this._overlays = (overlays || []).map(createOverlay);
+	};
+
 	/**
 	 * Initializes input devices (camera and optionally microphone)
+	 * @returns {Promise} resolves with the MediaStream, rejects with a CamRecorderError
 	 */
 	CamRecorder.prototype.init = function(){
+		if (this._state != 'inactive'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'The devices are already initialized'));
+		}
+		if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia){
+			return Promise.reject(this._error(ErrorCode.UNSUPPORTED, 'Camera access isn\'t supported, or the page isn\'t served via HTTPS'));
+		}
+		this._setState('initializing');
 		return navigator.mediaDevices.getUserMedia({
-			audio: this._audio,
-			video: {
-				width: {ideal: this._videoWidth},
-				height: {ideal: this._videoHeight},
-				//aspectRatio: {ideal: 1.3333333333},
-				frameRate: {ideal: this._fps},
-			}
+			audio: this._audio ? this._getAudioConstraints() : false,
+			video: this._audioOnly ? false : this._getVideoConstraints()
 		}).then((stream) => {
 			this._stream = stream;
-			this._videoElement.addEventListener('loadedmetadata', (event) => {
-				var actualWidth = this._videoElement.videoWidth;
-				var actualHeight = this._videoElement.videoHeight;
-				if (actualWidth != this._videoWidth || actualHeight != this.videoHeight) {
-					this.adaptDimensions(actualWidth, actualHeight);
-				}
-			}, { once: true });
-			this._videoElement = attachMediaStream(this._videoElement, stream);
-			if (this._audio && !this._hasMediaRecorder){
-				var audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-				var sourceNode = audioCtx.createMediaStreamSource(stream);
-				this._wavrec = new Recorder(sourceNode);
+			try {
+				if (!this._audioOnly) this._attachVideo(stream);
+				if (this._audio) this._initAudio(stream);
+			} catch (e) {
+				// e.g. the AudioContext couldn't be created, the devices are released again
+				this._disposeAudio();
+				stream.getTracks().forEach((track) => track.stop());
+				this._stream = null;
+				this._setState('inactive');
+				throw this._error(ErrorCode.UNKNOWN, 'Initializing the recorder failed', e);
+			}
+			this._onDeviceChange = () => this._emit('devicechange');
+			if (navigator.mediaDevices.addEventListener){
+				navigator.mediaDevices.addEventListener('devicechange', this._onDeviceChange);
 			}
+			this._setState('ready');
+			this._emit('ready', {stream: stream});
+			return stream;
+		}, (e) => {
+			this._setState('inactive');
+			throw this._error(toDeviceError(e));
+		});
+	};
+
+	/**
+	 * @private
+	 * @returns {object} getUserMedia constraints for the camera
+	 */
+	CamRecorder.prototype._getVideoConstraints = function(){
+		var constraints = {
+			width: {ideal: this._requestedWidth},
+			height: {ideal: this._requestedHeight},
+			//aspectRatio: {ideal: 1.3333333333},
+			frameRate: {ideal: this._fps},
+		};
+		if (this._options.cameraId){
+			constraints.deviceId = {exact: this._options.cameraId};
+		}else if (this._options.facingMode){
+			constraints.facingMode = {ideal: this._options.facingMode};
+		}
+		return constraints;
+	};
+
+	/**
+	 * @private
+	 * @returns {object} getUserMedia constraints for the microphone
+	 */
+	CamRecorder.prototype._getAudioConstraints = function(){
+		return this._options.microphoneId ? {deviceId: {exact: this._options.microphoneId}} : true;
+	};
+
+	/**
+	 * Lists the available cameras and microphones. Browsers only report the labels
+	 * after the user allowed access to the devices, i.e. after init.
+	 * @returns {Promise} resolves with {cameras, microphones}, arrays of {deviceId, groupId, label}
+	 */
+	CamRecorder.getDevices = function(){
+		if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices){
+			return Promise.reject(new CamRecorderError(ErrorCode.UNSUPPORTED, 'Listing devices isn\'t supported'));
+		}
+		return navigator.mediaDevices.enumerateDevices().then((devices) => {
+			var result = {cameras: [], microphones: []};
+			devices.forEach((device) => {
+				var info = {deviceId: device.deviceId, groupId: device.groupId, label: device.label};
+				if (device.kind == 'videoinput') result.cameras.push(info);
+				else if (device.kind == 'audioinput') result.microphones.push(info);
+			});
+			return result;
+		});
+	};
+
+	/**
+	 * Reports what the browser can record. video and audio list the MediaRecorder mime types
+	 * ({mimeType, container, videoCodec, audioCodec}) that are supported, fallback the formats
+	 * recorded without MediaRecorder, which are used if it's missing or supports none of the types.
+	 * @returns {Promise} resolves with {mediaRecorder, video, audio, fallback: {video, audio},
+	 * canvasCaptureStream (needed for overlays and transforms), imageCapture}
+	 */
+	CamRecorder.getCapabilities = function(){
+		var hasMediaRecorder = typeof window.MediaRecorder != 'undefined' && !!MediaRecorder.isTypeSupported;
+		var check = (list, mimeType, container, videoCodec, audioCodec) => {
+			if (hasMediaRecorder && MediaRecorder.isTypeSupported(mimeType)){
+				list.push({mimeType: mimeType, container: container, videoCodec: videoCodec, audioCodec: audioCodec});
+			}
+		};
+		var video = [];
+		var audio = [];
+		Object.keys(VIDEO_CODECS).forEach((container) => {
+			VIDEO_CODECS[container].forEach((videoCodec) => {
+				var mimeType = 'video/' + container + ';codecs=' + videoCodec;
+				check(video, mimeType, container, videoCodec, null);
+				(AUDIO_CODECS[container] || []).forEach((audioCodec) => {
+					check(video, mimeType + ',' + audioCodec, container, videoCodec, audioCodec);
+				});
+			});
+		});
+		Object.keys(AUDIO_CODECS).forEach((container) => {
+			AUDIO_CODECS[container].forEach((audioCodec) => {
+				var mimeType = 'audio/' + container + ';codecs=' + audioCodec;
+				check(audio, mimeType, getContainer(mimeType), null, audioCodec);
+			});
+		});
+		var canvas = document.createElement('canvas');
+		var hasAudioContext = !!(window.AudioContext || window.webkitAudioContext);
+		return Promise.resolve({
+			mediaRecorder: typeof window.MediaRecorder != 'undefined',
+			video: video,
+			audio: audio,
+			fallback: {
+				video: {
+					mimeType: 'video/avi;codec=mjpg',
+					container: 'avi',
+					supported: !!canvas.getContext,
+					audioEncodings: hasAudioContext ? ['pcm', 'ima-adpcm', 'mulaw', 'alaw'] : []
+				},
+				audio: {mimeType: 'audio/wav', container: 'wav', supported: hasAudioContext}
+			},
+			canvasCaptureStream: !!canvas.captureStream,
+			imageCapture: typeof window.ImageCapture != 'undefined'
+		});
+	};
+
+	/**
+	 * @returns {object} the devices in use {cameraId, facingMode, microphoneId}, undefined if unknown
+	 */
+	CamRecorder.prototype.getActiveDevices = function(){
+		var result = {cameraId: undefined, facingMode: undefined, microphoneId: undefined};
+		if (!this._stream) return result;
+		var videoTrack = this._stream.getVideoTracks()[0];
+		var audioTrack = this._stream.getAudioTracks()[0];
+		if (videoTrack && videoTrack.getSettings){
+			result.cameraId = videoTrack.getSettings().deviceId;
+			result.facingMode = videoTrack.getSettings().facingMode;
+		}
+		if (audioTrack && audioTrack.getSettings){
+			result.microphoneId = audioTrack.getSettings().deviceId;
+		}
+		return result;
+	};
+
+	/**
+	 * Switches to another camera while not recording
+	 * @param {string|object} camera - deviceId, or {facingMode: 'user'|'environment'}
+	 * @returns {Promise} resolves with the new MediaStream, rejects with a CamRecorderError
+	 */
+	CamRecorder.prototype.switchCamera = function(camera){
+		if (this._audioOnly){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Audio-only recorders don\'t use a camera'));
+		}
+		if (typeof camera == 'string') camera = {deviceId: camera};
+		return this._switchDevice('video', () => {
+			this._options.cameraId = camera.deviceId;
+			this._options.facingMode = camera.facingMode;
+		});
+	};
+
+	/**
+	 * Switches to another microphone while not recording
+	 * @param {string} deviceId
+	 * @returns {Promise} resolves with the new MediaStream, rejects with a CamRecorderError
+	 */
+	CamRecorder.prototype.switchMicrophone = function(deviceId){
+		if (!this._audio){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'The recorder doesn\'t record audio'));
+		}
+		return this._switchDevice('audio', () => {
+			this._options.microphoneId = deviceId;
+		});
+	};
+
+	/**
+	 * Replaces the video or audio track of the stream, the preview, the hidden
+	 * canvas (via loadedmetadata) and the audio graph are updated
+	 * @private
+	 * @param {string} kind - 'video' or 'audio'
+	 * @param {function} setOptions - updates the device options
+	 * @returns {Promise}
+	 */
+	CamRecorder.prototype._switchDevice = function(kind, setOptions){
+		if (this._state != 'ready'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Devices can\'t be switched in state ' + this._state));
+		}
+		setOptions();
+		var oldTracks = kind == 'video' ? this._stream.getVideoTracks() : this._stream.getAudioTracks();
+		var otherTracks = kind == 'video' ? this._stream.getAudioTracks() : this._stream.getVideoTracks();
+		// mobile devices often can't open two cameras at once, so the old track is stopped first
+		oldTracks.forEach((track) => track.stop());
+		this._setState('initializing');
+		return navigator.mediaDevices.getUserMedia({
+			video: kind == 'video' ? this._getVideoConstraints() : false,
+			audio: kind == 'audio' ? this._getAudioConstraints() : false
+		}).then((stream) => {
+			this._stream = new MediaStream(otherTracks.concat(stream.getTracks()));
+			if (kind == 'video'){
+				this._attachVideo(this._stream);
+			}else{
+				this._disposeAudio();
+				this._initAudio(this._stream);
+			}
+			this._setState('ready');
+			return this._stream;
 		}).catch((e) => {
-			console.error(e);
+			// the old track is stopped, another device has to be selected
+			this._setState('ready');
+			throw this._error(toDeviceError(e));
 		});
 	};
 
+	/**
+	 * Stops recording (without result), releases camera and microphone and the audio graph,
+	 * init has to be called again to use the recorder afterwards
+	 */
+	CamRecorder.prototype.dispose = function(){
+		clearInterval(this._rec);
+		clearInterval(this._batchTimer);
+		clearInterval(this._limitCheck);
+		if (this._mediaRecorder && this._mediaRecorder.state != 'inactive') this._mediaRecorder.stop();
+		this._stopCompositing();
+		this._disposeAudio();
+		if (this._stream){
+			this._stream.getTracks().forEach((track) => track.stop());
+			this._stream = null;
+		}
+		if (this._onDeviceChange && navigator.mediaDevices.removeEventListener){
+			navigator.mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+		}
+		this._setState('inactive');
+	};
+
+	/**
+	 * @private
+	 */
+	CamRecorder.prototype._disposeAudio = function(){
+		clearInterval(this._meter);
+		if (this._wavrec){
+			this._wavrec.dispose();
+			this._wavrec = null;
+		}
+		if (this._audioCtx){
+			this._audioCtx.close();
+			this._audioCtx = null;
+		}
+		this._analyser = null;
+	};
+
+	/**
+	 * Creates the audio graph for the level meter and, in the fallback, the Recorder
+	 * @private
+	 * @param {object} stream
+	 */
+	CamRecorder.prototype._initAudio = function(stream){
+		this._audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+		var sourceNode = this._audioCtx.createMediaStreamSource(stream);
+		this._initAudioMeter(sourceNode);
+		if (!this._hasMediaRecorder){
+			var chunkDuration = this._audioOnly ? 0 : 1;
+			if (this._options.timeslice) chunkDuration = this._options.timeslice / 1000;
+			this._wavrec = new Recorder(sourceNode, {
+				encoding: this._audioOnly ? 'pcm' : this._options.audioEncoding,
+				targetSampleRate: this._options.audioSampleRate,
+				numChannels: this._options.audioChannels,
+				// for AVIs the audio is encoded while recording and added to the MJPEGBuilder in 1 second
+				// (or timeslice) chunks, wavs are only recorded in chunks if timeslice is set
+				chunkDuration: chunkDuration,
+				onchunk: (chunk) => this._addAudioChunk(chunk)
+			});
+		}
+	};
+
+	/**
+	 * Adds encoded audio from the Recorder (fallback)
+	 * @private
+	 * @param {Array} chunk - [blob, numChannels, sampleRate, format]
+	 */
+	CamRecorder.prototype._addAudioChunk = function(chunk){
+		this._recordedBytes += chunk[0].size;
+		if (this._audioOnly){
+			this._audioChunks.push(chunk);
+			this._emit('dataavailable', {data: createWAV([chunk], chunk[1], chunk[2])});
+			return;
+		}
+		if (!this._mjpeg) return;
+		this._mjpeg.addAudioChunk(chunk[0], chunk[1], chunk[2], chunk[3]);
+		if (this._options.timeslice){
+			// each audio chunk ends a batch, the batch gets the frames captured during the chunk
+			var format = chunk[3];
+			this._audioEnd += chunk[0].size / format.blockAlign * format.samplesPerBlock / chunk[2];
+			var end = this._audioEnd;
+			this._frameQueue = this._frameQueue.then(() => this._emitBatch(end, [chunk]));
+		}
+	};
+
+	/**
+	 * Fires a dataavailable event with an AVI of the frames captured before end (and after the
+	 * previous batch) and the audio chunks (AVI fallback with timeslice)
+	 * @private
+	 * @param {number} end - in seconds, relative to the start of the recording
+	 * @param {Array} audioChunks
+	 */
+	CamRecorder.prototype._emitBatch = function(end, audioChunks){
+		var frames = [];
+		while (this._batchFrames.length && this._batchFrames[0].timestamp < end){
+			frames.push(this._batchFrames.shift());
+		}
+		// audio without new frames shows the last frame
+		if (!frames.length && audioChunks.length && this._lastBatchFrame){
+			frames.push({data: this._lastBatchFrame.data, timestamp: this._batchStart});
+		}
+		if (!frames.length && !audioChunks.length) return;
+		var size = this._getOutputSize();
+		var mjpeg = new MJPEGBuilder();
+		mjpeg.setup(size.width, size.height, this._fps);
+		frames.forEach((frame) => mjpeg.addFrame(frame.data, Math.max(0, frame.timestamp - this._batchStart)));
+		audioChunks.forEach((chunk) => mjpeg.addAudioChunk(chunk[0], chunk[1], chunk[2], chunk[3]));
+		if (frames.length) this._lastBatchFrame = frames[frames.length - 1];
+		this._batchStart = end;
+		this._emit('dataavailable', {data: mjpeg.finish()});
+	};
+
+	/**
+	 * Shows the camera stream in the video element
+	 * @private
+	 * @param {object} stream
+	 */
+	CamRecorder.prototype._attachVideo = function(stream){
+		this._videoElement.addEventListener('loadedmetadata', (event) => {
+			var actualWidth = this._videoElement.videoWidth;
+			var actualHeight = this._videoElement.videoHeight;
+			if (actualWidth != this._videoWidth || actualHeight != this._videoHeight) {
+				this.adaptDimensions(actualWidth, actualHeight);
+			}
+		}, { once: true });
+		this._videoElement = attachMediaStream(this._videoElement, stream);
+	};
+
+	/**
+	 * Measures the input level every levelInterval ms with an AnalyserNode
+	 * @private
+	 * @param {object} sourceNode - MediaStreamAudioSourceNode of the microphone
+	 */
+	CamRecorder.prototype._initAudioMeter = function(sourceNode){
+		this._analyser = sourceNode.context.createAnalyser();
+		this._analyser.fftSize = 2048;
+		sourceNode.connect(this._analyser);
+		var samples = new Float32Array(this._analyser.fftSize);
+		var bytes = new Uint8Array(this._analyser.fftSize);
+		this._level = {rms: 0, peak: 0, db: -Infinity};
+		this._silenceStart = null;
+		this._meter = setInterval(() => {
+			if (this._analyser.getFloatTimeDomainData){
+				this._analyser.getFloatTimeDomainData(samples);
+			}else{
+				// older Safari versions only support byte data
+				this._analyser.getByteTimeDomainData(bytes);
+				for (var i = 0; i < bytes.length; i++) samples[i] = (bytes[i] - 128) / 128;
+			}
+			var sum = 0, peak = 0;
+			for (var i = 0; i < samples.length; i++){
+				sum += samples[i] * samples[i];
+				peak = Math.max(peak, Math.abs(samples[i]));
+			}
+			var rms = Math.sqrt(sum / samples.length);
+			this._level = {rms: rms, peak: peak, db: 20 * Math.log10(rms)};
+			this._emit('level', this._level);
+			this._detectSilence(this._level.db);
+		}, this._options.levelInterval);
+	};
+
+	/**
+	 * Reports silence (and optionally stops recording) once the input level stayed
+	 * below silenceThreshold for silenceDuration seconds, once per silent period
+	 * @private
+	 * @param {number} db - current RMS level
+	 */
+	CamRecorder.prototype._detectSilence = function(db){
+		if (this._state != 'recording' || db >= this._options.silenceThreshold){
+			this._silenceStart = null;
+			this._silenceReported = false;
+			return;
+		}
+		var now = performance.now();
+		if (this._silenceStart === null) this._silenceStart = now;
+		var duration = (now - this._silenceStart) / 1000;
+		if (duration < this._options.silenceDuration || this._silenceReported) return;
+		this._silenceReported = true;
+		this._emit('silence', {duration: duration});
+		if (this._options.autoStopOnSilence) this._autoStop('silence');
+	};
+
+	/**
+	 * Stops recording and reports it with an autostop event
+	 * @private
+	 * @param {string} reason
+	 */
+	CamRecorder.prototype._autoStop = function(reason){
+		// failures are reported by error events
+		this.stop().then((blob) => this._emit('autostop', {reason: reason, blob: blob}), () => {});
+	};
+
+	/**
+	 * Dispatches a CustomEvent and calls the on<type> callback passed in the options
+	 * @private
+	 * @param {string} type
+	 * @param {object} [detail]
+	 */
+	CamRecorder.prototype._emit = function(type, detail){
+		this._events.dispatchEvent(new CustomEvent(type, {detail: detail}));
+		var cb = this._options['on' + type];
+		if (cb) cb(detail);
+	};
+
+	/**
+	 * @private
+	 * @param {string} state
+	 */
+	CamRecorder.prototype._setState = function(state){
+		if (state == this._state) return;
+		var previousState = this._state;
+		this._state = state;
+		this._emit('statechange', {state: state, previousState: previousState});
+	};
+
+	/**
+	 * Reports an error with an error event
+	 * @private
+	 * @param {string|CamRecorderError} code - an ErrorCode, or an existing error
+	 * @param {string} [message]
+	 * @param {object} [cause]
+	 * @returns {CamRecorderError}
+	 */
+	CamRecorder.prototype._error = function(code, message, cause){
+		var error = code instanceof CamRecorderError ? code : new CamRecorderError(code, message, cause);
+		this._emit('error', {error: error});
+		return error;
+	};
+
+	/**
+	 * @returns {object} the last measured input level {rms, peak, db}, rms and peak range
+	 * from 0 to 1, db is the RMS level in dBFS. Null if no audio is recorded.
+	 */
+	CamRecorder.prototype.getAudioLevel = function(){
+		return this._level || null;
+	};
+
 	/**
 	 * Starts recording
+	 * @returns {Promise} resolves when recording started, rejects with a CamRecorderError
 	 */
 	CamRecorder.prototype.start = function(){
+		if (this._state != 'ready'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Can\'t start recording in state ' + this._state));
+		}
 		this._frames = [];
+		this._recordedBytes = 0;
+		this._startTime = performance.now();
+		this._pauseTime = this._startTime; // getElapsedTime is 0 until the state is recording
+		this._pausedDuration = 0;
+		// browsers suspend AudioContexts that were created without user interaction
+		if (this._audioCtx && this._audioCtx.state == 'suspended') this._audioCtx.resume();
 		if (this._hasMediaRecorder){
-			this._mediaRecorder = new MediaRecorder(this._stream, {mimeType: this._mimeType});
+			var stream = this._stream;
+			if (this._needsCompositing()){
+				stream = this._startCompositing();
+				if (!stream) return Promise.reject(this._error(ErrorCode.UNSUPPORTED, 'Overlays and transforms require canvas.captureStream()'));
+			}
+			try {
+				this._mediaRecorder = new MediaRecorder(stream, this._getMediaRecorderOptions());
+				// without timeslice the data (and its size) is only available after stopping
+				this._mediaRecorder.start(this._options.timeslice || (this._options.maxBytes ? 1000 : undefined));
+				// the mime type MediaRecorder chose by default
+				if (!this._mimeType && this._mediaRecorder.mimeType){
+					this._mimeType = this._mediaRecorder.mimeType;
+					this._container = getContainer(this._mimeType);
+				}
+			} catch (e) {
+				this._stopCompositing();
+				var code = e.name == 'NotSupportedError' ? ErrorCode.UNSUPPORTED_MIME_TYPE : ErrorCode.RECORDING_FAILED;
+				return Promise.reject(this._error(code, 'MediaRecorder failed to start (' + (this._mimeType || 'default mime type') + ')', e));
+			}
 			this._mediaRecorder.ondataavailable = (e) => {
 				if (e.data && e.data.size > 0) {
 					this._frames.push(e.data);
+					this._recordedBytes += e.data.size;
+					this._emit('dataavailable', {data: e.data});
 				}
 			};
-			this._mediaRecorder.onstop = (e) => {
-				this._blob = new Blob(this._frames, {type: this._mimeType});
-				if (this._cb) this._cb(this._blob);
+			this._recorded = new Promise((resolve) => {
+				this._mediaRecorder.onstop = () => {
+					this._stopCompositing();
+					resolve(new Blob(this._frames, {type: this._mimeType}));
+				};
+			});
+			this._mediaRecorder.onerror = (e) => {
+				// the MediaRecorder stops itself after errors
+				this._error(ErrorCode.RECORDING_FAILED, 'Recording failed', e.error || e);
+				if (this._state == 'recording' || this._state == 'paused') this.stop().catch(() => {});
 			};
-			this._mediaRecorder.start();
+		}else if (this._audioOnly){
+			this._audioChunks = [];
+			this._wavrec.record();
+		}else{
+			// frames are encoded and added to the AVI while recording, the queue keeps them in order
+			var size = this._getOutputSize();
+			this._mjpeg = new MJPEGBuilder();
+			this._mjpeg.setup(size.width, size.height, this._fps);
+			this._frameQueue = Promise.resolve();
+			this._batchFrames = [];
+			this._batchStart = 0;
+			this._audioEnd = 0;
+			this._lastBatchFrame = null;
+			this._startFrameCapture();
+			if (this._audio){
+				this._wavrec.record();
+			}else if (this._options.timeslice){
+				// without audio chunks the batches are timed by the recording time
+				this._batchTimer = setInterval(() => {
+					var end = this.getElapsedTime() / 1000;
+					this._frameQueue = this._frameQueue.then(() => this._emitBatch(end, []));
+				}, this._options.timeslice);
+			}
+		}
+		this._limitCheck = setInterval(() => this._checkLimits(), 100);
+		this._setState('recording');
+		this._emit('start');
+		return Promise.resolve();
+	};
+
+	/**
+	 * Stops recording when maxDurationMs or maxBytes is reached
+	 * @private
+	 */
+	CamRecorder.prototype._checkLimits = function(){
+		if (this._state != 'recording') return;
+		if (this._options.maxDurationMs && this.getElapsedTime() >= this._options.maxDurationMs){
+			this._autoStop('maxDuration');
+		}else if (this._options.maxBytes && this.getRecordedSize() >= this._options.maxBytes){
+			this._autoStop('maxBytes');
+		}
+	};
+
+	/**
+	 * @returns {number} recording time of the current (or last) recording in ms, without pauses
+	 */
+	CamRecorder.prototype.getElapsedTime = function(){
+		if (this._startTime === undefined) return 0;
+		var end = this._state == 'recording' ? performance.now() : this._pauseTime;
+		return end - this._startTime - this._pausedDuration;
+	};
+
+	/**
+	 * @returns {number} size of the data recorded so far in bytes, without container headers.
+	 * For wav recordings it's calculated from the recording time.
+	 */
+	CamRecorder.prototype.getRecordedSize = function(){
+		if (this._hasMediaRecorder || this._startTime === undefined) return this._recordedBytes || 0;
+		if (this._audioOnly){
+			var sampleRate = this._options.audioSampleRate || this._audioCtx.sampleRate;
+			return Math.round(this.getElapsedTime() / 1000 * sampleRate) * this._options.audioChannels * 2;
+		}
+		return this._mjpeg.movieDesc.videoStreamSize + this._recordedBytes;
+	};
+
+	/**
+	 * Draws the transformed camera image and the overlays, used for the AVI fallback and for compositing
+	 * @private
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {number} width - output width
+	 * @param {number} height - output height
+	 */
+	CamRecorder.prototype._drawFrame = function(ctx, width, height){
+		this._drawImage(ctx, width, height, this._videoElement, this._videoWidth, this._videoHeight);
+		this._drawOverlays(ctx, width, height);
+	};
+
+	/**
+	 * Draws an image (or video frame) with the transforms
+	 * @private
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {number} width - output width
+	 * @param {number} height - output height
+	 * @param {object} image - anything drawImage accepts
+	 * @param {number} imageWidth
+	 * @param {number} imageHeight
+	 */
+	CamRecorder.prototype._drawImage = function(ctx, width, height, image, imageWidth, imageHeight){
+		if (!this._hasTransform()){
+			ctx.drawImage(image, 0, 0, width, height);
+			return;
+		}
+		var rotated = this._rotation == 90 || this._rotation == 270;
+		var sourceWidth = rotated ? imageHeight : imageWidth;
+		var sourceHeight = rotated ? imageWidth : imageHeight;
+		var letterbox = this._options.fit == 'letterbox';
+		var scale = Math[letterbox ? 'min' : 'max'](width / sourceWidth, height / sourceHeight);
+		ctx.save();
+		if (letterbox){
+			ctx.fillStyle = this._options.letterboxColor;
+			ctx.fillRect(0, 0, width, height);
+		}
+		// mirroring applies to the rotated image, as it's seen
+		ctx.translate(width / 2, height / 2);
+		if (this._options.mirror) ctx.scale(-1, 1);
+		ctx.rotate(this._rotation * Math.PI / 180);
+		var w = imageWidth * scale;
+		var h = imageHeight * scale;
+		ctx.drawImage(image, -w / 2, -h / 2, w, h);
+		ctx.restore();
+	};
+
+	/**
+	 * @private
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {number} width
+	 * @param {number} height
+	 */
+	CamRecorder.prototype._drawOverlays = function(ctx, width, height){
+		if (!this._overlays.length) return;
+		var info = {date: new Date(), elapsed: this.getElapsedTime(), width: width, height: height};
+		this._overlays.forEach((overlay) => {
+			ctx.save();
+			drawOverlay(ctx, overlay, info);
+			ctx.restore();
+		});
+	};
+
+	/**
+	 * @private
+	 * @returns {boolean} true if MediaRecorder has to record from a canvas instead of the camera stream
+	 */
+	CamRecorder.prototype._needsCompositing = function(){
+		return !this._audioOnly && (this._overlays.length > 0 || this._hasTransform());
+	};
+
+	/**
+	 * Draws the frames onto a canvas at the frame rate (MediaRecorder)
+	 * @private
+	 * @returns {object} MediaStream with the canvas video and the microphone audio, null if
+	 * canvas.captureStream isn't supported
+	 */
+	CamRecorder.prototype._startCompositing = function(){
+		var canvas = document.createElement('canvas');
+		if (!canvas.captureStream) return null;
+		var size = this._getOutputSize();
+		canvas.width = size.width;
+		canvas.height = size.height;
+		var ctx = canvas.getContext('2d');
+		this._drawFrame(ctx, canvas.width, canvas.height);
+		this._compositeStream = canvas.captureStream(this._fps);
+		this._compositeTimer = setInterval(() => this._drawFrame(ctx, canvas.width, canvas.height), 1000/this._fps);
+		return new MediaStream(this._compositeStream.getVideoTracks().concat(this._stream.getAudioTracks()));
+	};
+
+	/**
+	 * @private
+	 */
+	CamRecorder.prototype._stopCompositing = function(){
+		if (!this._compositeStream) return;
+		clearInterval(this._compositeTimer);
+		this._compositeStream.getTracks().forEach((track) => track.stop());
+		this._compositeStream = null;
+	};
+
+	/**
+	 * Draws and encodes frames at the frame rate (AVI fallback)
+	 * @private
+	 */
+	CamRecorder.prototype._startFrameCapture = function(){
+		// timer ticks aren't reliable, so each frame gets its capture time (relative to the start
+		// of the audio recording, without pauses), and the MJPEGBuilder then fits the frames to the
+		// nominal frame rate
+		// frames still encoding when the recording is stopped and a new one started must not end
+		// up in the new recording, so they are added to the builder of this recording
+		var mjpeg = this._mjpeg;
+		var batchFrames = this._batchFrames;
+		this._rec = setInterval(() => {
+			this._drawFrame(this._ctx, this._canvas.width, this._canvas.height);
+			var timestamp = (performance.now() - this._startTime - this._pausedDuration) / 1000;
+			var frame = this._encodeFrame();
+			this._frameQueue = this._frameQueue.then(() => frame).then((data) => {
+				if (!data) return;
+				mjpeg.addFrame(data, timestamp);
+				if (this._options.timeslice) batchFrames.push({data: data, timestamp: timestamp});
+			});
+		}, 1000/this._fps);
+	};
+
+	/**
+	 * Pauses recording
+	 * @returns {Promise} rejects with a CamRecorderError
+	 */
+	CamRecorder.prototype.pause = function(){
+		if (this._state != 'recording'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Can\'t pause in state ' + this._state));
+		}
+		if (this._hasMediaRecorder){
+			if (typeof this._mediaRecorder.pause != 'function'){
+				return Promise.reject(this._error(ErrorCode.UNSUPPORTED, 'MediaRecorder doesn\'t support pausing'));
+			}
+			this._mediaRecorder.pause();
+		}else{
+			// audio and video are suspended together, so they stay aligned
+			clearInterval(this._rec);
+			if (this._audio) this._wavrec.stop();
+		}
+		this._pauseTime = performance.now();
+		this._setState('paused');
+		this._emit('pause');
+		return Promise.resolve();
+	};
+
+	/**
+	 * Resumes a paused recording
+	 * @returns {Promise} rejects with a CamRecorderError
+	 */
+	CamRecorder.prototype.resume = function(){
+		if (this._state != 'paused'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Can\'t resume in state ' + this._state));
+		}
+		// the timeline continues where it was paused
+		this._pausedDuration += performance.now() - this._pauseTime;
+		if (this._hasMediaRecorder){
+			this._mediaRecorder.resume();
 		}else{
-			this._rec = setInterval(() => {
-				this._ctx.drawImage(this._videoElement, 0, 0, this._videoWidth, this._videoHeight);
-				this._frames.push(this._canvas.toDataURL('image/jpeg')); // The default JPEG quality is 0.92
-			}, 1000/this._fps);
+			if (!this._audioOnly) this._startFrameCapture();
 			if (this._audio) this._wavrec.record();
 		}
-	}
+		this._setState('recording');
+		this._emit('resume');
+		return Promise.resolve();
+	};
+
+	/**
+	 * Encodes the current canvas content as JPEG
+	 * @private
+	 * @returns {Promise} resolves with a Blob, or a data URL if canvas.toBlob isn't supported
+	 */
+	CamRecorder.prototype._encodeFrame = function(){
+		if (this._canvas.toBlob){
+			return new Promise((resolve) => this._canvas.toBlob(resolve, 'image/jpeg', this._options.jpegQuality));
+		}
+		return Promise.resolve(this._canvas.toDataURL('image/jpeg', this._options.jpegQuality));
+	};
 
 	/**
 	 * Stops recording
 	 * @param {function} [cb] - callback that receives the final video as blob
+	 * @returns {Promise} resolves with the final video as blob, rejects with a CamRecorderError
 	 */
 	CamRecorder.prototype.stop = function(cb){
+		if (this._state != 'recording' && this._state != 'paused'){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Can\'t stop recording in state ' + this._state));
+		}
+		if (this._state == 'recording') this._pauseTime = performance.now();
+		clearInterval(this._limitCheck);
+		this._setState('stopping');
+		var recorded;
 		if (this._hasMediaRecorder){
-			this._cb = cb;
-			this._mediaRecorder.stop();
+			if (this._mediaRecorder.state != 'inactive') this._mediaRecorder.stop();
+			recorded = this._recorded;
+		}else if (this._audioOnly){
+			this._wavrec.stop();
+			if (this._options.timeslice){
+				var sampleRate = this._options.audioSampleRate || this._audioCtx.sampleRate;
+				recorded = this._wavrec.flush().then(() => createWAV(this._audioChunks, this._options.audioChannels, sampleRate));
+			}else{
+				recorded = this._wavrec.exportWAV().then((blob) => {
+					this._wavrec.clear();
+					return blob;
+				});
+			}
 		}else{
 			clearInterval(this._rec);
+			clearInterval(this._batchTimer);
+			var mjpeg = this._mjpeg;
+			var audioAdded = Promise.resolve();
 			if (this._audio){
 				this._wavrec.stop();
-				if (console.time) console.time('Encoding Audio');
-				this._wavrec.exportRaw((data) => {
-					if (console.timeEnd) console.timeEnd('Encoding Audio');
-					if (console.time) console.time('Encoding AVI');
-					var mjpeg = new MJPEGBuilder();
-					mjpeg.setup(this._videoWidth, this._videoHeight, this._fps);
-					for (var frame_num=0;frame_num<this._frames.length;frame_num++){
-						mjpeg.addFrame(this._frames[frame_num]);
-					}
-					// [blob, numChannels, sampleRate]
-					mjpeg.addAudio(data[0], data[1], data[2]);
-					this._blob = mjpeg.finish();
-					if (console.timeEnd) console.timeEnd('Encoding AVI');
-					this._wavrec.clear();
-					if (cb) cb(this._blob);
-				});
-			}else{
-				if (console.time) console.time('Encoding AVI');
-				var mjpeg = new MJPEGBuilder();
-				mjpeg.setup(this._videoWidth, this._videoHeight, this._fps);
-				for (var frame_num=0;frame_num<this._frames.length;frame_num++){
-					mjpeg.addFrame(this._frames[frame_num]);
-				}
-				this._blob = mjpeg.finish();
-				if (console.timeEnd) console.timeEnd('Encoding AVI');
-				if (cb) cb(this._blob);
+				// adds the audio that wasn't passed in chunks yet
+				audioAdded = this._wavrec.flush();
 			}
+			recorded = audioAdded.then(() => this._frameQueue).then(() => {
+				// the remaining frames, with audio they are after the end of the audio track, so the
+				// MJPEGBuilder drops them anyway
+				if (this._options.timeslice && !this._audio) this._emitBatch(Infinity, []);
+				return mjpeg.finish();
+			});
 		}
-	}
+		return recorded.then((blob) => {
+			this._blob = blob;
+			// MediaRecorder fires its own dataavailable events, with timeslice the
+			// fallback already passed the data in batches
+			if (!this._hasMediaRecorder && !this._options.timeslice) this._emit('dataavailable', {data: blob});
+			this._setState('ready');
+			this._emit('stop', {blob: blob});
+			if (cb) cb(blob);
+			return blob;
+		}, (e) => {
+			this._setState('ready');
+			throw this._error(ErrorCode.RECORDING_FAILED, 'Finishing the recording failed', e);
+		});
+	};
 
 	/**
 	 * @returns {object} the recorded video as blob
@@ -206,24 +1483,338 @@
 	}
 
 	/**
-	 * @returns {string} the recorded video's container (webm, mp4 or avi)
+	 * @returns {string} the recorded video's container (webm, mp4 or avi), for audio-only recordings webm, m4a, ogg or wav
 	 */
 	CamRecorder.prototype.getVideoContainer = function(){
 		return this._container;
 	}
 
+	/**
+	 * @returns {string} the mime type used for recording, empty if MediaRecorder uses its default
+	 */
+	CamRecorder.prototype.getMimeType = function(){
+		return this._mimeType;
+	};
+
+	/**
+	 * @private
+	 * @returns {object} the options for the MediaRecorder constructor
+	 */
+	CamRecorder.prototype._getMediaRecorderOptions = function(){
+		var options = {};
+		if (this._mimeType) options.mimeType = this._mimeType;
+		if (this._options.videoBitsPerSecond && !this._audioOnly) options.videoBitsPerSecond = this._options.videoBitsPerSecond;
+		if (this._options.audioBitsPerSecond && this._audio) options.audioBitsPerSecond = this._options.audioBitsPerSecond;
+		return options;
+	};
+
+	/**
+	 * Reports the settings actually used, which can differ from the requested ones
+	 * @returns {object} {recorder ('MediaRecorder', 'avi' or 'wav'), mimeType, container, preferred
+	 * (true if the mime type is one of options.mimeTypes), width, height, fps,
+	 * videoBitsPerSecond, audioBitsPerSecond (MediaRecorder, the actual values once recording
+	 * started if the browser reports them), jpegQuality, audioEncoding, audioSampleRate, audioChannels
+	 * (AVI/wav fallback)}
+	 */
+	CamRecorder.prototype.getRecordingSettings = function(){
+		var size = this._getOutputSize();
+		var settings = {
+			recorder: this._hasMediaRecorder ? 'MediaRecorder' : this._container,
+			mimeType: this._mediaRecorder && this._mediaRecorder.mimeType || this._mimeType,
+			container: this._container,
+			preferred: this._options.mimeTypes.indexOf(this._mimeType) >= 0,
+			width: this._audioOnly ? 0 : size.width,
+			height: this._audioOnly ? 0 : size.height,
+			fps: this._audioOnly ? 0 : this._fps
+		};
+		if (this._hasMediaRecorder){
+			var requested = this._getMediaRecorderOptions();
+			var recorder = this._mediaRecorder || {};
+			settings.videoBitsPerSecond = recorder.videoBitsPerSecond || requested.videoBitsPerSecond;
+			settings.audioBitsPerSecond = recorder.audioBitsPerSecond || requested.audioBitsPerSecond;
+		}else{
+			if (!this._audioOnly) settings.jpegQuality = this._options.jpegQuality;
+			if (this._audio){
+				settings.audioEncoding = this._audioOnly ? 'pcm' : this._options.audioEncoding;
+				settings.audioSampleRate = this._options.audioSampleRate || (this._audioCtx ? this._audioCtx.sampleRate : undefined);
+				settings.audioChannels = this._options.audioChannels;
+			}
+		}
+		return settings;
+	};
+
+	/**
+	 * Async iterator over the data of the current recording (dataavailable events),
+	 * e.g. for await (const blob of camRecorder.chunks()) {...}. It ends when the recording
+	 * stopped, so it should be created right after start.
+	 * @returns {object} async iterator of blobs
+	 */
+	CamRecorder.prototype.chunks = function(){
+		var queue = [];
+		var waiting = null;
+		var done = false;
+		var onData = (e) => {
+			if (waiting){
+				waiting({value: e.detail.data, done: false});
+				waiting = null;
+			}else{
+				queue.push(e.detail.data);
+			}
+		};
+		var onStateChange = (e) => {
+			if (e.detail.state == 'ready' || e.detail.state == 'inactive') end();
+		};
+		var end = () => {
+			done = true;
+			this.removeEventListener('dataavailable', onData);
+			this.removeEventListener('statechange', onStateChange);
+			if (waiting) waiting({value: undefined, done: true});
+			waiting = null;
+		};
+		this.addEventListener('dataavailable', onData);
+		this.addEventListener('statechange', onStateChange);
+		var iterator = {
+			next: () => {
+				if (queue.length) return Promise.resolve({value: queue.shift(), done: false});
+				if (done) return Promise.resolve({value: undefined, done: true});
+				return new Promise((resolve) => {
+					waiting = resolve;
+				});
+			},
+			return: () => {
+				end();
+				return Promise.resolve({value: undefined, done: true});
+			}
+		};
+		iterator[Symbol.asyncIterator] = () => iterator;
+		return iterator;
+	};
+
+	/**
+	 * Takes a photo with the camera. Uses ImageCapture where supported, which provides the camera's
+	 * photo resolution, otherwise (and while recording, so the recording isn't disturbed) it grabs the
+	 * current frame of the preview. The mirror, rotate and aspectRatio transforms are applied like to
+	 * the video, but photos keep the resolution of their source.
+	 * @param {object} [options]
+	 * @param {string} [options.type='image/jpeg'] - 'image/jpeg', 'image/png' or 'image/webp', browsers that
+	 * can't encode WebP return PNG
+	 * @param {number} [options.quality=0.92] - JPEG and WebP quality from 0 to 1, if set the photo of
+	 * ImageCapture is re-encoded with it
+	 * @param {boolean} [options.overlays=false] - burns the overlays into the photo as well
+	 * @param {boolean} [options.imageCapture=true] - false always grabs the frame of the preview
+	 * @returns {Promise} resolves with the photo as blob, rejects with a CamRecorderError
+	 */
+	CamRecorder.prototype.takePhoto = function(options){
+		var qualitySet = !!options && options.quality != null;
+		options = Object.assign({type: 'image/jpeg', quality: 0.92, overlays: false, imageCapture: true}, options);
+		if (this._state == 'inactive' || this._state == 'initializing' || !this._stream || this._audioOnly){
+			return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Photos need an initialized camera'));
+		}
+		var track = this._stream.getVideoTracks()[0];
+		var recording = this._state != 'ready';
+		var photo = null;
+		var captured = Promise.resolve(null);
+		if (options.imageCapture && !recording && track && window.ImageCapture){
+			var asIs = !qualitySet && !this._hasTransform() && !(options.overlays && this._overlays.length);
+			captured = new ImageCapture(track).takePhoto().then((blob) => {
+				// the camera's photo can be used as is, otherwise it's decoded and drawn like the preview
+				if (asIs && blob.type == options.type){
+					photo = blob;
+					return null;
+				}
+				return decodeImage(blob);
+			}).catch(() => null); // e.g. the camera doesn't support photos, grab the preview instead
+		}
+		return captured.then((image) => {
+			if (photo) return photo;
+			var source = image || this._videoElement;
+			var sourceWidth = image ? image.naturalWidth || image.width : this._videoWidth;
+			var sourceHeight = image ? image.naturalHeight || image.height : this._videoHeight;
+			var size = this._getOutputSize(sourceWidth, sourceHeight);
+			var canvas = document.createElement('canvas');
+			canvas.width = size.width;
+			canvas.height = size.height;
+			var ctx = canvas.getContext('2d');
+			this._drawImage(ctx, size.width, size.height, source, sourceWidth, sourceHeight);
+			if (options.overlays) this._drawOverlays(ctx, size.width, size.height);
+			if (image && image.close) image.close();
+			return canvasToBlob(canvas, options.type, options.quality);
+		}).catch((e) => {
+			throw this._error(ErrorCode.PHOTO_FAILED, 'Taking the photo failed', e);
+		});
+	};
+
+	/**
+	 * Takes a series of photos, see takePhoto
+	 * @param {number} count
+	 * @param {number} intervalMs - time between the photos
+	 * @param {object} [options] - see takePhoto, imageCapture defaults to false here because it's
+	 * too slow for short intervals
+	 * @returns {Promise} resolves with an array of blobs
+	 */
+	CamRecorder.prototype.burst = function(count, intervalMs, options){
+		options = Object.assign({imageCapture: false}, options);
+		var photos = [];
+		var start = performance.now();
+		var next = () => this.takePhoto(options).then((blob) => {
+			photos.push(blob);
+			if (photos.length >= count) return photos;
+			// the interval is kept even if taking a photo is slow
+			return wait(Math.max(0, start + photos.length * intervalMs - performance.now())).then(next);
+		});
+		return count > 0 ? next() : Promise.resolve(photos);
+	};
+
+	/**
+	 * Exports the recorded clip as animated GIF
+	 * @param {object} [options]
+	 * @param {number} [options.width] - default is the video width, but at most 320
+	 * @param {number} [options.height] - default keeps the aspect ratio
+	 * @param {number} [options.fps=10]
+	 * @param {number} [options.loop=0] - number of repetitions, 0 loops forever, -1 plays only once
+	 * @param {number} [options.maxColors=256]
+	 * @returns {Promise} resolves with the GIF as blob
+	 */
+	CamRecorder.prototype.exportGIF = function(options){
+		options = Object.assign({fps: 10, loop: 0, maxColors: 256}, options);
+		if (!this._blob) return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Nothing recorded yet'));
+		if (this._audioOnly) return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Audio-only recordings can\'t be exported as GIF'));
+
+		var size = this._getOutputSize();
+		var width = options.width || Math.min(size.width, 320);
+		var height = options.height || Math.round(width * size.height / size.width);
+		var canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		var ctx = canvas.getContext('2d');
+
+		var frameSource = this._hasMediaRecorder ? this._getVideoFrameSource() : this._getAVIFrameSource();
+		return frameSource.then((source) => {
+			var encoder = new GIFEncoder(width, height, options);
+			var frameCount = Math.max(1, Math.floor(source.duration * options.fps));
+			var addFrame = (frameNum) => {
+				if (frameNum == frameCount) return;
+				return source.drawFrame(ctx, frameNum / options.fps, width, height).then(() => {
+					encoder.addFrame(ctx.getImageData(0, 0, width, height), 1000 / options.fps);
+					return addFrame(frameNum + 1);
+				});
+			};
+			return addFrame(0).then(() => {
+				source.close();
+				return encoder.finish();
+			}, (e) => {
+				source.close();
+				throw e;
+			});
+		});
+	};
+
+	/**
+	 * Frame source for the AVI fallback, based on the captured JPEG frames
+	 * @private
+	 * @returns {Promise} resolves with {duration, drawFrame(ctx, time, width, height), close()}
+	 */
+	CamRecorder.prototype._getAVIFrameSource = function(){
+		var frames = this._mjpeg.createTimeline();
+		var fps = this._fps;
+		return Promise.resolve({
+			duration: frames.length / fps,
+			drawFrame: function(ctx, time, width, height){
+				return decodeImage(frames[Math.min(frames.length - 1, Math.floor(time * fps))]).then((img) => {
+					ctx.drawImage(img, 0, 0, width, height);
+					if (img.close) img.close();
+				});
+			},
+			close: function(){}
+		});
+	};
+
+	/**
+	 * Frame source for MediaRecorder recordings, the recording is decoded by a video element
+	 * @private
+	 * @returns {Promise} resolves with {duration, drawFrame(ctx, time, width, height), close()}
+	 */
+	CamRecorder.prototype._getVideoFrameSource = function(){
+		var video = document.createElement('video');
+		video.muted = true;
+		video.playsInline = true;
+		video.preload = 'auto';
+		var url = window.URL.createObjectURL(this._blob);
+		var waitFor = function(type){
+			return new Promise((resolve, reject) => {
+				var onEvent = () => {
+					removeListeners();
+					resolve();
+				};
+				var onError = () => {
+					removeListeners();
+					reject(video.error);
+				};
+				var removeListeners = () => {
+					video.removeEventListener(type, onEvent);
+					video.removeEventListener('error', onError);
+				};
+				video.addEventListener(type, onEvent);
+				video.addEventListener('error', onError);
+			});
+		};
+		var close = function(){
+			video.removeAttribute('src');
+			video.load();
+			window.URL.revokeObjectURL(url);
+		};
+		var loaded = waitFor('loadedmetadata');
+		video.src = url;
+		return loaded.then(() => {
+			// WebMs created by MediaRecorder don't specify their duration, after seeking
+			// to the end the browser knows it
+			if (isFinite(video.duration)) return;
+			var updated = waitFor('timeupdate');
+			video.currentTime = Number.MAX_SAFE_INTEGER;
+			return updated;
+		}).then(() => {
+			if (!isFinite(video.duration)){
+				close();
+				throw this._error(ErrorCode.RECORDING_FAILED, 'The duration of the recording couldn\'t be determined');
+			}
+			return {
+				duration: video.duration,
+				drawFrame: function(ctx, time, width, height){
+					var seeked = waitFor('seeked');
+					video.currentTime = time;
+					return seeked.then(() => {
+						ctx.drawImage(video, 0, 0, width, height);
+					});
+				},
+				close: close
+			};
+		});
+	};
+
+	/**
+	 * @private
+	 * @param {object} blob
+	 * @returns {string} the file extension for the blob
+	 */
+	CamRecorder.prototype._getExtension = function(blob){
+		if (blob == this._blob || !blob.type) return this._container;
+		return blob.type.split(';')[0].split('/')[1];
+	};
+
 	/**
 	 * Utility, saves recorded video as local file
 	 * @param {string} [basename] - the default basename (filename without ext) for saved video
+	 * @param {object} [blob] - blob to save instead of the recorded video, e.g. an exported GIF
 	 */
-	CamRecorder.prototype.saveAsFile = function(basename){
+	CamRecorder.prototype.saveAsFile = function(basename, blob){
 		if (!basename) basename = 'recording';
+		if (!blob) blob = this._blob;
 		var a = document.createElement('a');
 		document.body.appendChild(a);
 		a.style = 'display: none';
-		var url = window.URL.createObjectURL(this._blob);
+		var url = window.URL.createObjectURL(blob);
 		a.href = url;
-		a.download = basename+'.'+this._container;
+		a.download = basename+'.'+this._getExtension(blob);
 		a.click();
 		setTimeout(() => {
 			document.body.removeChild(a);
@@ -232,18 +1823,79 @@
 	};
 
 	/**
-	 * Utility, uploads recorded video via ajax and HTTP POST
+	 * Utility, uploads recorded video via ajax, by default as multipart/form-data HTTP POST.
+	 * Failed requests are retried with the delays in options.retryDelays if options.retryOn
+	 * returns true for the error, by default for network errors, 408, 429 and 5xx.
+	 * The old signature upload(url, varName, basename, postVars, cbLoaded, cbProgress, blob)
+	 * is still supported, but deprecated.
+	 * @param {string} url
+	 * @param {object} [options]
+	 * @param {string} [options.method='POST']
+	 * @param {string} [options.fieldName='file'] - form field name for uploaded video
+	 * @param {string} [options.basename='recording'] - the basename (filename without ext) for uploaded video
+	 * @param {object} [options.fields] - additional form fields
+	 * @param {boolean} [options.raw=false] - send the blob as request body instead of form data, e.g. for PUT
+	 * @param {object} [options.headers] - additional request headers, e.g. {Authorization: 'Bearer ...'}
+	 * @param {string} [options.credentials='same-origin'] - 'include' sends cookies to other origins as well
+	 * @param {AbortSignal} [options.signal] - aborts the upload, the promise is rejected with ErrorCode.ABORTED
+	 * @param {number} [options.timeout=0] - timeout of each request in ms, 0 for none
+	 * @param {number[]} [options.retryDelays=[]] - delays in ms before the retries, none by default
+	 * @param {function} [options.retryOn] - called with the CamRecorderError, returns true to retry
+	 * @param {function} [options.onprogress] - called with (bytesUploaded, bytesTotal)
+	 * @param {object} [options.blob] - blob to upload instead of the recorded video, e.g. an exported GIF
+	 * @returns {Promise} resolves with the parsed response (JSON or text), rejects with a CamRecorderError
+	 * (ErrorCode.UPLOAD_FAILED has status and response properties)
+	 */
+	CamRecorder.prototype.upload = function(url, options){
+		if (typeof options == 'string') return this._uploadLegacy.apply(this, arguments);
+		options = Object.assign({
+			method: 'POST',
+			fieldName: 'file',
+			basename: 'recording',
+			fields: {},
+			raw: false,
+			headers: {},
+			credentials: 'same-origin',
+			timeout: 0,
+			retryDelays: [],
+			retryOn: (e) => !e.status || e.status == 408 || e.status == 429 || e.status >= 500
+		}, options);
+		var blob = options.blob || this._blob;
+		if (!blob) return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Nothing recorded yet'));
+
+		var body = blob;
+		if (!options.raw) {
+			body = new FormData();
+			body.append(options.fieldName, blob, options.basename+'.'+this._getExtension(blob));
+			for (var k in options.fields) body.append(k, options.fields[k]);
+		}
+		var retries = 0;
+		var send = () => sendRequest(url, body, options).catch((e) => {
+			if (e.code == ErrorCode.ABORTED || retries >= options.retryDelays.length || !options.retryOn(e)) throw e;
+			return wait(options.retryDelays[retries++], options.signal).then(send);
+		});
+		return send().catch((e) => {
+			// aborting is intended, so it's not reported as error event
+			throw e.code == ErrorCode.ABORTED ? e : this._error(e);
+		});
+	};
+
+	/**
+	 * @private
+	 * @deprecated use upload(url, options)
 	 * @param {string} url
 	 * @param {string} varName - POST var name for uploaded video
 	 * @param {string} basename - the basename (filename without ext) for uploaded video
 	 * @param {object} postVars - additional POST vars, {} for none
-	 * @param {function} cbLoaded
+	 * @param {function} cbLoaded - called with (true, event) on load (regardless of the HTTP status) or (false, event)
 	 * @param {function} [cbProgress]
+	 * @param {object} [blob] - blob to upload instead of the recorded video, e.g. an exported GIF
 	 */
-	CamRecorder.prototype.upload =  function (url, varName, basename, postVars, cbLoaded, cbProgress) {
+	CamRecorder.prototype._uploadLegacy = function(url, varName, basename, postVars, cbLoaded, cbProgress, blob){
 		if (!basename) basename = 'recording';
+		if (!blob) blob = this._blob;
 		var fd = new FormData();
-		fd.append(varName, this._blob, basename+'.'+this._container);
+		fd.append(varName, blob, basename+'.'+this._getExtension(blob));
 		if (postVars){
 			for (var k in postVars) fd.append(k, postVars[k]);
 		}
@@ -266,7 +1918,40 @@
 		xhr.send(fd);
 	};
 
+	/**
+	 * Uploads recorded video in chunks with the tus resumable upload protocol, after network
+	 * errors the upload continues where it stopped
+	 * @param {string} endpoint - URL of the tus server's upload creation endpoint
+	 * @param {object} [options] - TusUpload options (chunkSize, headers, retryDelays, signal, onprogress...)
+	 * @param {string} [options.basename='recording'] - the basename (filename without ext) sent as metadata
+	 * @param {object} [options.blob] - blob to upload instead of the recorded video, e.g. an exported GIF
+	 * @returns {Promise} resolves with the URL of the uploaded file, rejects with a CamRecorderError
+	 * (ErrorCode.UPLOAD_FAILED has the HTTP status, if any, as status property)
+	 */
+	CamRecorder.prototype.uploadResumable = function(endpoint, options){
+		options = Object.assign({basename: 'recording'}, options);
+		var blob = options.blob || this._blob;
+		if (!blob) return Promise.reject(this._error(ErrorCode.INVALID_STATE, 'Nothing recorded yet'));
+		if (!root.TusUpload) return Promise.reject(this._error(ErrorCode.UNSUPPORTED, 'tusupload.js is required for resumable uploads'));
+		var upload = new root.TusUpload(blob, endpoint, Object.assign({}, options, {
+			metadata: Object.assign({
+				filename: options.basename+'.'+this._getExtension(blob),
+				filetype: blob.type
+			}, options.metadata)
+		}));
+		return upload.start().catch((e) => {
+			// aborting is intended, so it's not reported as error event
+			if (e.name == 'AbortError') throw new CamRecorderError(ErrorCode.ABORTED, 'The upload was aborted', e);
+			var error = new CamRecorderError(ErrorCode.UPLOAD_FAILED, e.message, e);
+			error.status = e.status || 0;
+			throw this._error(error);
+		});
+	};
+
+	CamRecorder.ErrorCode = ErrorCode;
+
 	// export
 	root.CamRecorder = CamRecorder;
+	root.CamRecorderError = CamRecorderError;
 
 })(window);
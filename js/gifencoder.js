@@ -0,0 +1,359 @@
+/**
+ * Javascript Animated GIF Encoder
+ *
+ * @file Creates animated GIFs from RGBA frames. Color quantization (median cut) and LZW
+ * compression run in a web worker.
+ * @version 0.1
+ *
+ * -- MIT License
+ *
+ * Copyright (c) 2020 Valentin Schmidt
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit
+ * persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR
+ * PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE
+ * FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+'use strict';
+
+(function(aGlobal) {
+
+	var WORKER_ENABLED = !!(aGlobal.URL && aGlobal.Blob && aGlobal.Worker);
+
+	/**
+	 * @constructor
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {object} [options]
+	 * @param {number} [options.loop=0] - number of repetitions, 0 loops forever, -1 plays only once
+	 * @param {number} [options.maxColors=256] - maximum number of colors per frame (2-256)
+	 */
+	function GIFEncoder(width, height, options) {
+		options = options || {};
+		this.width = width;
+		this.height = height;
+		this._error = null;
+		this.worker = GIFEncoder.createWorker();
+		this.worker.onmessage = (e) => {
+			if (e.data.command == 'finish' && this._resolve) this._resolve(e.data.data);
+		};
+		this.worker.onerror = (e) => this._fail(e);
+		this.worker.onmessageerror = () => this._fail(new Error('GIFEncoder: a message couldn\'t be passed to the worker'));
+		this.worker.postMessage({
+			command: 'init',
+			width: width,
+			height: height,
+			loop: options.loop === undefined ? 0 : options.loop,
+			maxColors: Math.max(2, Math.min(256, options.maxColors || 256))
+		});
+	}
+
+	GIFEncoder.prototype = {
+		/**
+		 * @param {ImageData} imageData - RGBA pixels, must match the size passed to the constructor
+		 * @param {number} delay - display time of the frame in ms
+		 */
+		addFrame: function(imageData, delay) {
+			if (imageData.width != this.width || imageData.height != this.height) {
+				throw new Error('GIFEncoder: frame size does not match the GIF size');
+			}
+			var pixels = new Uint8Array(imageData.data);
+			this.worker.postMessage({
+				command: 'frame',
+				pixels: pixels,
+				delay: delay
+			}, [pixels.buffer]);
+		},
+
+		/**
+		 * @returns {Promise} resolves with the GIF as blob, rejects if encoding failed
+		 */
+		finish: function() {
+			return new Promise((resolve, reject) => {
+				if (this._error) return reject(this._error);
+				this._resolve = (blob) => {
+					if (this.worker.terminate) this.worker.terminate();
+					resolve(blob);
+				};
+				this._reject = reject;
+				this.worker.postMessage({command: 'finish'});
+			});
+		},
+
+		// an error in the worker ends the encoding, finish() rejects with it
+		_fail: function(e) {
+			if (this._error) return;
+			// an ErrorEvent of the worker, or an Error of the main thread fallback
+			if (e.preventDefault) e.preventDefault();
+			this._error = e instanceof Error ? e : new Error('GIFEncoder: ' + (e.message || 'the worker failed'));
+			if (this.worker.terminate) this.worker.terminate();
+			if (this._reject) this._reject(this._error);
+		}
+	};
+
+	// Creates the encoding worker, or an object with the same interface
+	// that runs the encoder in the main thread if workers aren't available.
+	GIFEncoder.createWorker = function() {
+		if (WORKER_ENABLED) {
+			var url = URL.createObjectURL(new Blob(['(' + gifWorker.toString() + ')(self);'], {type: 'text/javascript'}));
+			var worker = new Worker(url);
+			URL.revokeObjectURL(url);
+			return worker;
+		}
+		var worker = {};
+		var self = {
+			postMessage: function(data) {
+				setTimeout(function() {
+					worker.onmessage({data: data});
+				}, 0);
+			}
+		};
+		worker.postMessage = function(data) {
+			setTimeout(function() {
+				try {
+					self.onmessage({data: data});
+				} catch (e) {
+					if (worker.onerror) worker.onerror(e);
+				}
+			}, 0);
+		};
+		gifWorker(self);
+		return worker;
+	};
+
+	// the worker code, self is the worker's global scope
+	function gifWorker(self) {
+		var width, height, loop, maxColors;
+		var parts = [];
+
+		self.onmessage = function(e) {
+			switch (e.data.command) {
+				case 'init':
+					width = e.data.width;
+					height = e.data.height;
+					loop = e.data.loop;
+					maxColors = e.data.maxColors;
+					parts = [writeHeader()];
+					break;
+				case 'frame':
+					parts.push(writeFrame(e.data.pixels, e.data.delay));
+					break;
+				case 'finish':
+					parts.push(new Uint8Array([0x3B])); // trailer
+					self.postMessage({command: 'finish', data: new Blob(parts, {type: 'image/gif'})});
+					parts = [];
+					break;
+			}
+		};
+
+		function writeHeader() {
+			var out = [];
+			writeString(out, 'GIF89a');
+			// logical screen descriptor, no global color table
+			writeWord(out, width);
+			writeWord(out, height);
+			out.push(0, 0, 0);
+			if (loop >= 0) {
+				// NETSCAPE2.0 application extension
+				out.push(0x21, 0xFF, 0x0B);
+				writeString(out, 'NETSCAPE2.0');
+				out.push(0x03, 0x01);
+				writeWord(out, loop);
+				out.push(0x00);
+			}
+			return new Uint8Array(out);
+		}
+
+		function writeFrame(pixels, delay) {
+			var quantized = quantize(pixels);
+			var paletteBits = 1;
+			while ((1 << paletteBits) < quantized.numColors) paletteBits++;
+
+			var out = [];
+			// graphic control extension: no disposal, delay in 1/100 s
+			out.push(0x21, 0xF9, 0x04, 0x04);
+			writeWord(out, Math.round(delay / 10));
+			out.push(0x00, 0x00);
+			// image descriptor with local color table
+			out.push(0x2C);
+			writeWord(out, 0);
+			writeWord(out, 0);
+			writeWord(out, width);
+			writeWord(out, height);
+			out.push(0x80 | (paletteBits - 1));
+			for (var i = 0; i < (3 << paletteBits); i++) {
+				out.push(i < quantized.palette.length ? quantized.palette[i] : 0);
+			}
+			var minCodeSize = Math.max(2, paletteBits);
+			out.push(minCodeSize);
+			var lzw = lzwEncode(quantized.indices, minCodeSize);
+			// data sub-blocks of at most 255 bytes
+			for (var pos = 0; pos < lzw.length; pos += 255) {
+				var len = Math.min(255, lzw.length - pos);
+				out.push(len);
+				for (var i = 0; i < len; i++) out.push(lzw[pos + i]);
+			}
+			out.push(0x00);
+			return new Uint8Array(out);
+		}
+
+		// median cut on a 15-bit (5 bits per channel) color histogram,
+		// returns the palette (RGB triplets) and the palette index of each pixel
+		function quantize(pixels) {
+			var pixelCount = width * height;
+			var histogram = new Uint32Array(32768);
+			for (var i = 0; i < pixelCount; i++) {
+				histogram[((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3)]++;
+			}
+			var bins = [];
+			for (var bin = 0; bin < 32768; bin++) {
+				if (histogram[bin]) bins.push(bin);
+			}
+
+			var boxes = [createBox(bins, histogram)];
+			while (boxes.length < maxColors) {
+				// split the box with the most pixels that still has more than one color
+				var boxNum = -1;
+				for (var i = 0; i < boxes.length; i++) {
+					if (boxes[i].bins.length > 1 && (boxNum < 0 || boxes[i].count > boxes[boxNum].count)) boxNum = i;
+				}
+				if (boxNum < 0) break;
+				var halves = splitBox(boxes[boxNum], histogram);
+				boxes.splice(boxNum, 1, halves[0], halves[1]);
+			}
+
+			var palette = [];
+			var lookup = new Uint8Array(32768);
+			for (var i = 0; i < boxes.length; i++) {
+				var r = 0, g = 0, b = 0;
+				var box = boxes[i];
+				for (var j = 0; j < box.bins.length; j++) {
+					var bin = box.bins[j];
+					var n = histogram[bin];
+					r += ((bin >> 10) & 31) * n;
+					g += ((bin >> 5) & 31) * n;
+					b += (bin & 31) * n;
+					lookup[bin] = i;
+				}
+				palette.push(
+					Math.round(r / box.count * 255 / 31),
+					Math.round(g / box.count * 255 / 31),
+					Math.round(b / box.count * 255 / 31)
+				);
+			}
+
+			var indices = new Uint8Array(pixelCount);
+			for (var i = 0; i < pixelCount; i++) {
+				indices[i] = lookup[((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3)];
+			}
+			return {palette: palette, numColors: boxes.length, indices: indices};
+		}
+
+		function createBox(bins, histogram) {
+			var count = 0;
+			for (var i = 0; i < bins.length; i++) count += histogram[bins[i]];
+			return {bins: bins, count: count};
+		}
+
+		// splits a box at the median of its longest color axis
+		function splitBox(box, histogram) {
+			var shifts = [10, 5, 0];
+			var axis = 0, maxRange = -1;
+			for (var a = 0; a < 3; a++) {
+				var min = 31, max = 0;
+				for (var i = 0; i < box.bins.length; i++) {
+					var v = (box.bins[i] >> shifts[a]) & 31;
+					if (v < min) min = v;
+					if (v > max) max = v;
+				}
+				if (max - min > maxRange) {
+					maxRange = max - min;
+					axis = a;
+				}
+			}
+			var shift = shifts[axis];
+			var bins = box.bins.slice().sort(function(x, y) {
+				return ((x >> shift) & 31) - ((y >> shift) & 31);
+			});
+			var half = 0, splitAt = 1;
+			for (var i = 0; i < bins.length - 1; i++) {
+				half += histogram[bins[i]];
+				splitAt = i + 1;
+				if (half >= box.count / 2) break;
+			}
+			return [createBox(bins.slice(0, splitAt), histogram), createBox(bins.slice(splitAt), histogram)];
+		}
+
+		// variable code size LZW as used by GIF, codes are packed LSB first
+		function lzwEncode(indices, minCodeSize) {
+			var out = [];
+			var clearCode = 1 << minCodeSize;
+			var eoiCode = clearCode + 1;
+			var nextCode = eoiCode + 1;
+			var codeSize = minCodeSize + 1;
+			var table = new Map();
+			var buffer = 0, bufferBits = 0;
+
+			var emit = function(code) {
+				buffer |= code << bufferBits;
+				bufferBits += codeSize;
+				while (bufferBits >= 8) {
+					out.push(buffer & 0xFF);
+					buffer >>= 8;
+					bufferBits -= 8;
+				}
+			};
+
+			emit(clearCode);
+			var prefix = indices[0];
+			for (var i = 1; i < indices.length; i++) {
+				var k = indices[i];
+				var key = (prefix << 8) | k;
+				var code = table.get(key);
+				if (code !== undefined) {
+					prefix = code;
+					continue;
+				}
+				emit(prefix);
+				if (nextCode == 4096) {
+					emit(clearCode);
+					nextCode = eoiCode + 1;
+					codeSize = minCodeSize + 1;
+					table.clear();
+				} else {
+					if (nextCode >= (1 << codeSize)) codeSize++;
+					table.set(key, nextCode++);
+				}
+				prefix = k;
+			}
+			emit(prefix);
+			emit(eoiCode);
+			if (bufferBits > 0) out.push(buffer & 0xFF);
+			return out;
+		}
+
+		function writeWord(out, val) {
+			out.push(val & 0xFF, (val >> 8) & 0xFF);
+		}
+
+		function writeString(out, str) {
+			for (var i = 0; i < str.length; i++) out.push(str.charCodeAt(i));
+		}
+	}
+
+	// export
+	aGlobal.GIFEncoder = GIFEncoder;
+
+})(window);
@@ -3,50 +3,241 @@
 const VIDEO_WIDTH = 480;
 const VIDEO_HEIGHT = 360;
 const VIDEO_FPS = 15;
-const VIDEO_DUR_MS = 3500;
+const MAX_DURATION_MS = 60000;
+const TUS_ENDPOINT = 'http://localhost:1080/files/'; // node server/tus-server.js
 
 var videoCamera = document.querySelector('video#cam');
 var videoRecorded = document.querySelector('video#recorded');
 var statusDisplay = document.querySelector('#status-display');
 var buttonRecord = document.querySelector('button#record');
+var buttonPause = document.querySelector('button#pause');
+var buttonStop = document.querySelector('button#stop');
+var elapsedDisplay = document.querySelector('#elapsed');
+var checkboxCountdown = document.querySelector('input#countdown');
+var buttonPhoto = document.querySelector('button#photo');
 var buttonSave = document.querySelector('button#save');
 var buttonUpload = document.querySelector('button#upload');
+var checkboxResumable = document.querySelector('input#resumable');
+var buttonGIF = document.querySelector('button#gif');
 var checkboxAudio = document.querySelector('input#audio');
+var meterAudio = document.querySelector('meter#audio-level');
+var selectCamera = document.querySelector('select#camera');
+var selectMicrophone = document.querySelector('select#microphone');
 
-var camRecorder = new CamRecorder(videoCamera, checkboxAudio.checked, VIDEO_WIDTH, VIDEO_HEIGHT, VIDEO_FPS);
-camRecorder.init();
+var recorderOptions = {
+	onlevel: function(level) {
+		meterAudio.value = level.peak;
+	},
+	silenceDuration: 2,
+	onsilence: function() {
+		logStatus('No sound detected, please check your microphone.');
+	},
+	ondevicechange: function() {
+		updateDevices();
+	},
+	maxDurationMs: MAX_DURATION_MS,
+	mimeTypes: ['video/webm;codecs=vp9,opus', 'video/mp4;codecs=avc1,mp4a.40.2'],
+	videoBitsPerSecond: 1000000,
+	jpegQuality: 0.8,
+	timeslice: 1000, // for saving the running recording, see createStore
+	overlays: [
+		{text: 'CamRecorder {datetime}', position: 'bottom-left', font: '14px sans-serif', background: 'rgba(0, 0, 0, 0.5)'}
+	],
+	onautostop: function(detail) {
+		if (detail.reason == 'maxDuration') logStatus('The maximum duration was reached.');
+	},
+	onstop: function(detail) {
+		clearInterval(elapsedTimer);
+		showElapsed();
+		videoRecorded.src = window.URL.createObjectURL(detail.blob);
+		enableButtons();
+	}
+};
+
+var camRecorder = new CamRecorder(videoCamera, checkboxAudio.checked, VIDEO_WIDTH, VIDEO_HEIGHT, VIDEO_FPS, recorderOptions);
+camRecorder.init().then(updateDevices).catch(logError);
+
+var lastRecordingId;
+var recordingStore = createStore();
+
+// saves recordings in IndexedDB, uploads made while offline are queued
+function createStore() {
+	var store = new RecordingStore(camRecorder, {
+		saveChunks: true,
+		onsave: function(recording) {
+			lastRecordingId = recording.id;
+		},
+		onupload: function(task) {
+			logStatus('The queued clip was uploaded successfully \\o/');
+		},
+		onerror: function(e) {
+			logStatus(e.message + ' :-(');
+		}
+	});
+	store.init().then((recovered) => {
+		if (recovered.length) {
+			logStatus('An interrupted recording was recovered.');
+			videoRecorded.src = window.URL.createObjectURL(recovered[recovered.length - 1].blob);
+		}
+	}).catch((e) => {
+		logStatus('Opening the saved recordings failed: ' + e.message);
+	});
+	return store;
+}
+
+function fillSelect(select, devices, activeId, label) {
+	select.innerHTML = '';
+	devices.forEach((device, i) => {
+		var option = document.createElement('option');
+		option.value = device.deviceId;
+		option.text = device.label || label + ' ' + (i + 1);
+		option.selected = device.deviceId == activeId;
+		select.appendChild(option);
+	});
+}
+
+function updateDevices() {
+	return CamRecorder.getDevices().then((devices) => {
+		var active = camRecorder.getActiveDevices();
+		fillSelect(selectCamera, devices.cameras, active.cameraId, 'Camera');
+		fillSelect(selectMicrophone, devices.microphones, active.microphoneId, 'Microphone');
+		selectMicrophone.disabled = !checkboxAudio.checked;
+	});
+}
 
 function logStatus(msg) {
 	//console.log(msg);
 	statusDisplay.innerHTML = msg;
 }
 
+function logError(e) {
+	switch (e.code) {
+		case CamRecorder.ErrorCode.PERMISSION_DENIED:
+			logStatus('Please allow access to your camera and microphone.');
+			break;
+		case CamRecorder.ErrorCode.NO_DEVICE:
+			logStatus('No camera or microphone found.');
+			break;
+		case CamRecorder.ErrorCode.DEVICE_IN_USE:
+			logStatus('The camera is used by another application.');
+			break;
+		case CamRecorder.ErrorCode.UNSUPPORTED:
+		case CamRecorder.ErrorCode.UNSUPPORTED_MIME_TYPE:
+			logStatus('Recording isn\'t supported by this browser :-(');
+			break;
+		default:
+			logStatus('Error: ' + e.message);
+	}
+}
+
+function enableButtons() {
+	buttonRecord.disabled = false;
+	buttonPause.disabled = true;
+	buttonStop.disabled = true;
+	buttonPause.textContent = 'Pause';
+	buttonSave.disabled = !camRecorder.getVideoBlob();
+	buttonUpload.disabled = !camRecorder.getVideoBlob();
+	buttonGIF.disabled = !camRecorder.getVideoBlob();
+	checkboxAudio.disabled = false;
+	selectCamera.disabled = false;
+	selectMicrophone.disabled = !checkboxAudio.checked;
+}
+
 checkboxAudio.addEventListener('click', (e) => {
-	camRecorder = new CamRecorder(videoCamera, this.checked, VIDEO_WIDTH, VIDEO_HEIGHT, VIDEO_FPS);
+	var active = camRecorder.getActiveDevices();
+	camRecorder.dispose();
+	recordingStore.close();
+	camRecorder = new CamRecorder(videoCamera, checkboxAudio.checked, VIDEO_WIDTH, VIDEO_HEIGHT, VIDEO_FPS,
+		Object.assign({cameraId: active.cameraId, microphoneId: active.microphoneId}, recorderOptions));
+	camRecorder.init().then(updateDevices).catch(logError);
+	recordingStore = createStore();
 	buttonSave.disabled = true;
 	buttonUpload.disabled = true;
+	buttonGIF.disabled = true;
+});
+
+selectCamera.addEventListener('change', (e) => {
+	camRecorder.switchCamera(selectCamera.value).catch(logError);
+});
+
+selectMicrophone.addEventListener('change', (e) => {
+	camRecorder.switchMicrophone(selectMicrophone.value).catch(logError);
 });
 
 buttonRecord.addEventListener('click', (e) => {
 	buttonRecord.disabled = true;
 	buttonSave.disabled = true;
 	buttonUpload.disabled = true;
+	buttonGIF.disabled = true;
 	checkboxAudio.disabled = true;
+	selectCamera.disabled = true;
+	selectMicrophone.disabled = true;
 	
 	if (!videoRecorded.paused) videoRecorded.pause();
 	videoRecorded.autoplay = true;
 	
-	camRecorder.start();
-	setTimeout(function() {
-		camRecorder.stop(function(blob) {			
-			videoRecorded.src = window.URL.createObjectURL(blob);
-		
-			buttonRecord.disabled = false
-			buttonSave.disabled = false;
-			buttonUpload.disabled = false;
-			checkboxAudio.disabled = false;
-		});
-	}, VIDEO_DUR_MS);
+	logStatus('');
+	countdown(checkboxCountdown.checked ? 3 : 0).then(() => {
+		return camRecorder.start();
+	}).then(() => {
+		logStatus('');
+		buttonPause.disabled = false;
+		buttonStop.disabled = false;
+		elapsedTimer = setInterval(showElapsed, 200);
+	}).catch((e) => {
+		logError(e);
+		enableButtons();
+	});
+});
+
+// shows 3-2-1 in the status display, resolves when done
+function countdown(seconds) {
+	return new Promise((resolve) => {
+		var tick = function() {
+			if (seconds == 0) return resolve();
+			logStatus('Recording starts in ' + seconds + '...');
+			seconds--;
+			setTimeout(tick, 1000);
+		};
+		tick();
+	});
+}
+
+var elapsedTimer;
+
+function showElapsed() {
+	var seconds = Math.floor(camRecorder.getElapsedTime() / 1000);
+	elapsedDisplay.textContent = Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+}
+
+buttonStop.addEventListener('click', (e) => {
+	buttonPause.disabled = true;
+	buttonStop.disabled = true;
+	// the result is shown by the onstop callback
+	camRecorder.stop().catch((e) => {
+		logError(e);
+		enableButtons();
+	});
+});
+
+buttonPause.addEventListener('click', (e) => {
+	if (camRecorder.state == 'recording') {
+		camRecorder.pause().then(() => {
+			buttonPause.textContent = 'Resume';
+			logStatus('Paused');
+		}).catch(logError);
+	} else if (camRecorder.state == 'paused') {
+		camRecorder.resume().then(() => {
+			buttonPause.textContent = 'Pause';
+			logStatus('');
+		}).catch(logError);
+	}
+});
+
+buttonPhoto.addEventListener('click', (e) => {
+	camRecorder.takePhoto({type: 'image/jpeg', quality: 0.9}).then((blob) => {
+		camRecorder.saveAsFile('photo', blob);
+	}).catch(logError);
 });
 
 buttonSave.addEventListener('click', (e) => {
@@ -55,19 +246,58 @@ buttonSave.addEventListener('click', (e) => {
 
 buttonUpload.addEventListener('click', (e) => {
 	buttonUpload.disabled = true;
-	camRecorder.upload(
-		'upload.php',
-		'clip',
-		'myvideo',
-		{category_id: 1},
-		function(ok, e){
-			if (ok) logStatus('The clip was uploaded successfully \\o/');
-			else logStatus('Uploading the clip failed :-(');
-			//if (e.target.responseText) alert(e.target.responseText);
+	if (checkboxResumable.checked) {
+		camRecorder.uploadResumable(TUS_ENDPOINT, {
+			basename: 'myvideo',
+			onprogress: function(bytesUploaded, bytesTotal){
+				logStatus('Uploading clip ['+Math.floor(100*bytesUploaded/bytesTotal)+'%]');
+			}
+		}).then(() => {
+			logStatus('The clip was uploaded successfully \\o/');
+		}).catch((e) => {
+			logStatus('Uploading the clip failed :-(');
+		}).then(() => {
 			buttonUpload.disabled = false;
-		},
-		function(prog){
-			logStatus('Uploading clip ['+Math.ceil(100*prog)+'%]');
+		});
+		return;
+	}
+	var uploadOptions = {
+		fieldName: 'clip',
+		basename: 'myvideo',
+		fields: {category_id: 1},
+		credentials: 'include'
+	};
+	if (!navigator.onLine && lastRecordingId) {
+		recordingStore.enqueueUpload(lastRecordingId, 'upload.php', uploadOptions).then(() => {
+			logStatus('You\'re offline, the clip will be uploaded when you\'re back online.');
+			buttonUpload.disabled = false;
+		});
+		return;
+	}
+	camRecorder.upload('upload.php', Object.assign({
+		retryDelays: [1000, 3000],
+		onprogress: function(bytesUploaded, bytesTotal){
+			logStatus('Uploading clip ['+Math.ceil(100*bytesUploaded/bytesTotal)+'%]');
 		}
-	);
+	}, uploadOptions)).then((response) => {
+		//if (response) alert(response);
+		logStatus('The clip was uploaded successfully \\o/');
+	}).catch((e) => {
+		logStatus('Uploading the clip failed :-(' + (e.status ? ' (HTTP ' + e.status + ')' : ''));
+	}).then(() => {
+		buttonUpload.disabled = false;
+	});
+});
+
+buttonGIF.addEventListener('click', (e) => {
+	buttonGIF.disabled = true;
+	logStatus('Creating GIF...');
+	camRecorder.exportGIF({fps: 10, loop: 0}).then((blob) => {
+		logStatus('');
+		camRecorder.saveAsFile('myclip', blob);
+		buttonGIF.disabled = false;
+	}).catch((e) => {
+		logStatus('Creating the GIF failed :-(');
+		buttonGIF.disabled = false;
+	});
 });
@@ -1,7 +1,7 @@
 /**
  * Javascript MJPEG AVI Builder
  *
- * @file Creates MJPEG AVI from JPGs, and optionally also adds an audio track from a raw PCM audio blob.
+ * @file Creates MJPEG AVI from JPGs, and optionally also adds an audio track from a raw (PCM, IMA ADPCM or G.711) audio blob.
  * @version 0.2
  *
  * -- MIT License
@@ -36,6 +36,9 @@
 
 	var AVIF_HASINDEX = 0x00000010;
 	var AVIIF_KEYFRAME = 0x00000010;
+	var AVI_INDEX_OF_INDEXES = 0x00;
+	var AVI_INDEX_OF_CHUNKS = 0x01;
+	var MaxRIFFSize = 0x40000000; // 1 GB, larger files are written as OpenDML
 	var RateBase = 1000000;
 	var Verbose = false;
 
@@ -50,40 +53,82 @@
 		this.headerLIST = MJPEGBuilder.createHeaderLIST();
 		this.moviLIST   = MJPEGBuilder.createMoviLIST();
 		this.frameList  = [];
+		this.frameTimes = [];
 	}
 
 	MJPEGBuilder.prototype = {
-		setup: function(frameWidth, frameHeight, fps) {
+		// options.audioChunkDuration: duration (in seconds) of the interleaved 01wb chunks,
+		// defaults to the duration of a single video frame
+		// options.openDML: true to always write OpenDML (AVI 2.0), false to never write it,
+		// by default it's only used if the file would exceed the classic AVI size limit
+		setup: function(frameWidth, frameHeight, fps, options) {
+			options = options || {};
 			this.movieDesc.w = frameWidth;
 			this.movieDesc.h = frameHeight;
 			this.movieDesc.fps = fps;
+			this.movieDesc.audioChunkDuration = options.audioChunkDuration || 1 / fps;
+			this.movieDesc.openDML = options.openDML;
 		},
 
-		addFrame: function(u) {
-			var frame = atob(u.slice(23));
-			// binary string to typed array
-			var len = frame.length;
-			if (len % 2) len++; // padding
-			var arr = new Uint8Array(len);
-			for (var i = 0; i < len; i++){
-				arr[i] = frame.charCodeAt(i);
+		// frame is a JPEG as Blob, ArrayBuffer (or typed array) or data URL
+		// timestamp is the optional capture time in seconds, relative to the start of the recording
+		addFrame: function(frame, timestamp) {
+			var blob;
+			if (typeof frame == 'string') {
+				frame = atob(frame.slice(frame.indexOf(',') + 1));
+				// binary string to typed array
+				var arr = new Uint8Array(frame.length);
+				for (var i = 0; i < frame.length; i++){
+					arr[i] = frame.charCodeAt(i);
+				}
+				blob = new Blob([arr.buffer], {type: 'image/jpeg'});
+			} else if (frame instanceof Blob) {
+				blob = frame;
+			} else {
+				blob = new Blob([frame], {type: 'image/jpeg'});
 			}
-
-			var blob = new Blob([arr.buffer], {type: 'image/jpeg'});
+			if (blob.size % 2) blob = new Blob([blob, new Uint8Array(1)], {type: 'image/jpeg'}); // padding
 
 			var bsize = blob.size;
 			this.movieDesc.videoStreamSize += bsize;
 			this.frameList.push(blob);
+			this.frameTimes.push(timestamp);
 
 			if (this.movieDesc.maxJPEGSize < bsize) {
 				this.movieDesc.maxJPEGSize = bsize;
 			}
 		},
 
-		addAudio: function(blob, numChannels, sampleRate) {
+		// blob contains the raw audio data, format describes its encoding (formatTag, bitsPerSample,
+		// blockAlign and samplesPerBlock, i.e. samples per channel in a block), default is 16-bit PCM
+		addAudio: function(blob, numChannels, sampleRate, format) {
+			format = format || {formatTag: 1, bitsPerSample: 16, blockAlign: numChannels * 2, samplesPerBlock: 1};
 			this.audioBlob = blob;
 			this.audioNumChannels = numChannels;
 			this.audioSampleRate = sampleRate;
+			this.audioFormat = format;
+			this.audioBlockAlign = format.blockAlign;
+			this.audioSamplesPerBlock = format.samplesPerBlock || 1;
+			// exact data rate, dwnAvgBytesPerSec in the stream format is rounded
+			this.audioBytesPerSec = sampleRate * this.audioBlockAlign / this.audioSamplesPerBlock;
+		},
+
+		// adds the next part of the audio track while recording, all parts must have the same
+		// format (see addAudio) and contain whole sample blocks. They are joined when needed,
+		// blobs only reference their parts, so this doesn't copy the audio data.
+		addAudioChunk: function(blob, numChannels, sampleRate, format) {
+			if (!this.audioChunks) {
+				this.audioChunks = [];
+				this.addAudio(new Blob([]), numChannels, sampleRate, format);
+			}
+			this.audioChunks.push(blob);
+		},
+
+		joinAudioChunks: function() {
+			if (this.audioChunks && this.audioChunks.length) {
+				this.audioBlob = new Blob([this.audioBlob].concat(this.audioChunks));
+				this.audioChunks = [];
+			}
 		},
 
 		addVideoStreamData: function(list, blob) {
@@ -91,66 +136,115 @@
 			stream.dwSize = blob.size;
 			stream.handler = function(bb) {
 				bb.push(blob);
+				if (blob.size % 2) bb.push(new ArrayBuffer(1)); // padding
 			};
 			list.push(stream);
-			return stream.dwSize + 8;
+			return stream.dwSize + 8 + (blob.size % 2);
 		},
 
-		// adds audio as single (non-interleaved) 01wb chunk
 		addAudioStreamData: function(list, blob) {
 			var stream = MJPEGBuilder.createMoviStream();
 			stream.chType = '01wb';
 			stream.dwSize = blob.size;
 			stream.handler = function(bb) {
 				bb.push(blob);
+				if (blob.size % 2) bb.push(new ArrayBuffer(1)); // padding
 			};
 			list.push(stream);
-			return stream.dwSize + 8;
+			return stream.dwSize + 8 + (blob.size % 2);
 		},
 
-		finish: function(onFinish) {
-			var streamSize = 0;
-			this.moviLIST.aStreams = [];
+		// splits the audio blob into chunks of movieDesc.audioChunkDuration seconds,
+		// chunk boundaries are always aligned to whole sample blocks
+		splitAudio: function() {
+			var blockAlign = this.audioBlockAlign;
+			var bytesPerSec = this.audioBytesPerSec;
+			var size = this.audioBlob.size;
+			var chunks = [];
+			var start = 0;
+			for (var n = 1; start < size; n++) {
+				var end = Math.round(n * this.movieDesc.audioChunkDuration * bytesPerSec / blockAlign) * blockAlign;
+				if (end <= start) end = start + blockAlign;
+				if (end > size) end = size;
+				chunks.push({
+					blob: this.audioBlob.slice(start, end),
+					time: start / bytesPerSec
+				});
+				start = end;
+			}
+			return chunks;
+		},
+
+		// Returns the frames to be written at the nominal frame rate: if all frames have capture
+		// timestamps, each frame slot gets the frame captured closest to it, so frames are duplicated
+		// or dropped as needed. The video then lasts as long as the audio track (if there is one).
+		createTimeline: function() {
+			this.joinAudioChunks();
+			var fps = this.movieDesc.fps;
 			var frameCount = this.frameList.length;
-			var frameIndices = [];
-			var frOffset = 4;
-			var IndexEntryOrder = ['chId', 'dwFlags', 'dwOffset', 'dwLength'];
-			for (var i = 0;i < frameCount;i++) {
-				var frsize = this.addVideoStreamData(this.moviLIST.aStreams, this.frameList[i]);
-				frameIndices.push({
-					chId: '00dc',
-					dwFlags: AVIIF_KEYFRAME,
-					dwOffset: frOffset,
-					dwLength: frsize - 8,
-					_order: IndexEntryOrder
-				})
+			var hasTimestamps = frameCount && this.frameTimes.every(function(t) {
+				return typeof t == 'number';
+			});
+			if (!hasTimestamps) return this.frameList.slice();
+
+			var duration = this.audioBlob
+				? this.audioBlob.size / this.audioBytesPerSec
+				: this.frameTimes[frameCount - 1] + 1 / fps;
+			var slotCount = Math.max(1, Math.round(duration * fps));
+			var timeline = [];
+			var frameNum = 0;
+			for (var i = 0;i < slotCount;i++) {
+				var slotEnd = (i + 0.5) / fps;
+				while (frameNum + 1 < frameCount && this.frameTimes[frameNum + 1] <= slotEnd) frameNum++;
+				timeline.push(this.frameList[frameNum]);
+			}
+			return timeline;
+		},
 
-				frOffset += frsize;
-				streamSize += frsize;
+		// collects the movi chunks in file order, audio is interleaved with the video frames,
+		// each 01wb chunk is written right before the first video frame that isn't earlier than the chunk
+		createChunkList: function(frames) {
+			var chunks = [];
+			var audioChunks = this.audioBlob ? this.splitAudio() : [];
+			var audioChunkNum = 0;
+			var addAudioChunksUntil = (time) => {
+				while (audioChunkNum < audioChunks.length && audioChunks[audioChunkNum].time <= time) {
+					chunks.push({chId: '01wb', streamNum: 1, blob: audioChunks[audioChunkNum++].blob});
+				}
 			};
-
-			if (this.audioBlob){
-				// audio as single (non-interleaved) 01wb chunk
-				var frsize = this.addAudioStreamData(this.moviLIST.aStreams, this.audioBlob);
-				frameIndices.push({
-					chId: '01wb',
-					dwFlags: AVIIF_KEYFRAME,
-					dwOffset: frOffset,
-					dwLength: frsize - 8,
-					_order: IndexEntryOrder
-				})
-				streamSize += frsize;
+			for (var i = 0;i < frames.length;i++) {
+				addAudioChunksUntil(i / this.movieDesc.fps);
+				chunks.push({chId: '00dc', streamNum: 0, blob: frames[i]});
 			}
+			addAudioChunksUntil(Infinity);
+			return chunks;
+		},
 
-			this.moviLIST.dwSize = streamSize + 4;
+		addStreamData: function(list, chunk) {
+			if (chunk.chId == '01wb') return this.addAudioStreamData(list, chunk.blob);
+			return this.addVideoStreamData(list, chunk.blob);
+		},
+
+		finish: function(onFinish) {
+			var frames = this.createTimeline();
+			var chunks = this.createChunkList(frames);
+			var moviSize = 0;
+			var maxAudioChunkSize = 0;
+			for (var i = 0;i < chunks.length;i++) {
+				moviSize += 8 + chunks[i].blob.size + (chunks[i].blob.size % 2);
+				if (chunks[i].chId == '01wb' && maxAudioChunkSize < chunks[i].blob.size) {
+					maxAudioChunkSize = chunks[i].blob.size;
+				}
+			}
 
 			// stream header (strh)
 			var frameDu = Math.floor(RateBase / this.movieDesc.fps);
 			var strh = MJPEGBuilder.createStreamHeader();
 			strh.wRight  = this.movieDesc.w;
 			strh.wBottom = this.movieDesc.h;
-			strh.dwLength = this.frameList.length;
+			strh.dwLength = frames.length;
 			strh.dwScale  = frameDu;
+			strh.dwSuggestedBufferSize = this.movieDesc.maxJPEGSize;
 
 			// strf
 			var bi = MJPEGBuilder.createBitmapHeader();
@@ -166,17 +260,20 @@
 			strl.dwSize = 4 + (strh.dwSize + 8) + (strf.dwSize + 8);
 			strl.aList = [strh, strf];
 
+			var streams = [{chId: '00dc', strl: strl}];
+
 			// audio
 			if (this.audioBlob){
 				// strh_audio
 				var strh_audio = MJPEGBuilder.createStreamHeader();
 				strh_audio.chTypeFourCC = 'auds';
 				strh_audio.chHandlerFourCC = '\0\0\0\0'; //???
-				strh_audio.dwScale  = 1;
-				strh_audio.dwRate = this.audioNumChannels * this.audioSampleRate;
-				// dwLength: size of stream in units as defined in dwRate and dwScale
-				strh_audio.dwLength = this.audioNumChannels * this.audioSampleRate * frameCount / this.movieDesc.fps;
-				strh_audio.dwSampleSize = 2;
+				strh_audio.dwScale  = this.audioSamplesPerBlock;
+				strh_audio.dwRate = this.audioSampleRate;
+				// dwLength: size of stream in units as defined in dwRate and dwScale (i.e. blocks)
+				strh_audio.dwLength = this.audioBlob.size / this.audioBlockAlign;
+				strh_audio.dwSuggestedBufferSize = maxAudioChunkSize;
+				strh_audio.dwSampleSize = this.audioBlockAlign;
 				strh_audio.wRight  = 0;
 				strh_audio.wBottom = 0;
 
@@ -184,27 +281,39 @@
 				// The structure of the strf chunk depends on the media type.
 				// Video streams use the BITMAPINFOHEADER structure, whereas audio streams use the WAVEFORMATEX structure
 				var strf_audio = MJPEGBuilder.createStreamFormat();
-				strf_audio.dwSize = 18;
 				var wh = MJPEGBuilder.createWavHeader();
+				wh.wFormatTag = this.audioFormat.formatTag;
 				wh.wnChannels = this.audioNumChannels;
 				wh.dwnSamplesPerSec = this.audioSampleRate;
-				wh.dwnAvgBytesPerSec = this.audioSampleRate*this.audioNumChannels;
+				wh.dwnAvgBytesPerSec = Math.round(this.audioBytesPerSec);
+				wh.wnBlockAlign = this.audioBlockAlign;
+				wh.wBitsPerSample = this.audioFormat.bitsPerSample;
+				if (this.audioSamplesPerBlock > 1) {
+					// block based formats like IMA ADPCM extend WAVEFORMATEX with wSamplesPerBlock
+					wh.wcbSize = 2;
+					wh.wSamplesPerBlock = this.audioSamplesPerBlock;
+					wh._order.push('wSamplesPerBlock');
+				}
+				strf_audio.dwSize = 18 + wh.wcbSize;
 				strf_audio.sContent = wh;
 
 				// strl_audio
 				var strl_audio = MJPEGBuilder.createStreamHeaderLIST();
 				strl_audio.dwSize = 4 + (strh.dwSize + 8) + (strf_audio.dwSize + 8);
 				strl_audio.aList = [strh_audio, strf_audio];
+
+				streams.push({chId: '01wb', strl: strl_audio});
 			}
 
 			// AVI header
 			var avih = MJPEGBuilder.createAVIMainHeader();
 			avih.dwMicroSecPerFrame = frameDu;
 			avih.dwMaxBytesPerSec = this.movieDesc.maxJPEGSize * this.movieDesc.fps;
-			avih.dwTotalFrames = this.frameList.length;
+			if (this.audioBlob) avih.dwMaxBytesPerSec += Math.ceil(this.audioBytesPerSec);
+			avih.dwTotalFrames = frames.length;
 			avih.dwWidth  = this.movieDesc.w;
 			avih.dwHeight = this.movieDesc.h;
-			avih.dwSuggestedBufferSize = 0;
+			avih.dwSuggestedBufferSize = Math.max(this.movieDesc.maxJPEGSize, maxAudioChunkSize);
 
 			var hdrlSize = 4;
 			hdrlSize += avih.dwSize + 8;
@@ -213,6 +322,22 @@
 			this.headerLIST.dwSize = hdrlSize;
 			this.headerLIST.aData = (this.audioBlob) ? [avih, strl, strl_audio] : [avih, strl];
 
+			// switch to OpenDML if the classic AVI would exceed the size limit
+			var aviSize = 4 + (8 + hdrlSize) + (8 + 4 + moviSize) + (8 + chunks.length * 16);
+			if (this.movieDesc.openDML === true || (this.movieDesc.openDML !== false && aviSize > MaxRIFFSize)) {
+				return this.finishOpenDML(chunks, avih, streams);
+			}
+
+			this.moviLIST.aStreams = [];
+			var frameIndices = [];
+			var frOffset = 4;
+			for (var i = 0;i < chunks.length;i++) {
+				var frsize = this.addStreamData(this.moviLIST.aStreams, chunks[i]);
+				frameIndices.push(MJPEGBuilder.createIndexEntry(chunks[i].chId, frOffset, chunks[i].blob.size));
+				frOffset += frsize;
+			}
+			this.moviLIST.dwSize = moviSize + 4;
+
 			var indexChunk = {
 				chFourCC: 'idx1',
 				dwSize: frameIndices.length * 16,
@@ -221,17 +346,168 @@
 			};
 
 			// AVI Container
-			var aviSize = 0;
-			aviSize += 8 + this.headerLIST.dwSize;
-			aviSize += 8 + this.moviLIST.dwSize;
-			aviSize += 8 + indexChunk.dwSize;
-
-			this.avi.dwSize = aviSize + 4;
+			this.avi.dwSize = aviSize;
 			this.avi.aData = [this.headerLIST, this.moviLIST, indexChunk];
 
-			var chunks = [];
-			MJPEGBuilder.appendStruct(chunks, this.avi);
-			return new Blob(chunks, {type: 'video/avi'});
+			var bb = [];
+			MJPEGBuilder.appendStruct(bb, this.avi);
+			return new Blob(bb, {type: 'video/avi'});
+		},
+
+		// Writes an OpenDML (AVI 2.0) file: the chunks are distributed over a 'RIFF AVI ' and as many
+		// 'RIFF AVIX' segments as needed, each of them at most MaxRIFFSize bytes. Every segment gets
+		// its own standard indexes (ix00, ix01) which are referenced by the super indexes (indx) in
+		// the stream headers. The idx1 index in the first segment is kept for legacy players.
+		finishOpenDML: function(chunks, avih, streams) {
+			var numStreams = streams.length;
+			var classicHdrlSize = this.headerLIST.dwSize;
+
+			// The size of the header depends on the number of super index entries, so the number
+			// of segments is estimated first and increased until all chunks fit in. Unused super
+			// index entries are simply left empty.
+			var numSegments = 1;
+			var segments;
+			for (;;) {
+				var hdrlSize = classicHdrlSize + numStreams * (8 + 24 + 16 * numSegments) + 12 + 8 + 248;
+				segments = this.createSegments(chunks, numStreams, hdrlSize);
+				if (segments.length <= numSegments) break;
+				numSegments = segments.length;
+			}
+
+			var superIndexes = [];
+			for (var streamNum = 0;streamNum < numStreams;streamNum++) {
+				var indx = MJPEGBuilder.createSuperIndex();
+				indx.chChunkId = streams[streamNum].chId;
+				indx.dwSize = 24 + 16 * numSegments;
+				indx.aIndex = [];
+				superIndexes.push(indx);
+				streams[streamNum].strl.aList.push(indx);
+				streams[streamNum].strl.dwSize += 8 + indx.dwSize;
+			}
+
+			var odml = MJPEGBuilder.createODMLHeaderLIST();
+			var dmlh = MJPEGBuilder.createExtendedAVIHeader();
+			dmlh.dwTotalFrames = avih.dwTotalFrames;
+			odml.aData = [dmlh];
+
+			this.headerLIST.dwSize = hdrlSize;
+			this.headerLIST.aData.push(odml);
+
+			var riffs = [];
+			var pos = 0;
+			for (var segNum = 0;segNum < segments.length;segNum++) {
+				var riff = MJPEGBuilder.createAVIStruct();
+				var riffStart = pos;
+				pos += 12;
+				if (segNum > 0) {
+					riff.chFourCC = 'AVIX';
+				} else {
+					pos += 8 + hdrlSize;
+				}
+
+				var movi = MJPEGBuilder.createMoviLIST();
+				movi.aStreams = [];
+				var moviStart = pos + 8; // idx1 offsets are relative to the 'movi' FourCC
+				pos += 12;
+
+				var frameIndices = [];
+				var stdIndexEntries = [];
+				for (var streamNum = 0;streamNum < numStreams;streamNum++) stdIndexEntries.push([]);
+
+				var segmentChunks = segments[segNum];
+				for (var i = 0;i < segmentChunks.length;i++) {
+					var chunk = segmentChunks[i];
+					if (segNum == 0) {
+						frameIndices.push(MJPEGBuilder.createIndexEntry(chunk.chId, pos - moviStart, chunk.blob.size));
+					}
+					// standard index offsets point to the chunk data, relative to qwBaseOffset
+					stdIndexEntries[chunk.streamNum].push({
+						dwOffset: pos + 8 - riffStart,
+						dwSize: chunk.blob.size,
+						_order: ['dwOffset', 'dwSize']
+					});
+					pos += this.addStreamData(movi.aStreams, chunk);
+				}
+				if (segNum == 0) {
+					// avih only counts the frames in the first segment, dmlh has the total
+					avih.dwTotalFrames = stdIndexEntries[0].length;
+				}
+
+				for (var streamNum = 0;streamNum < numStreams;streamNum++) {
+					var entries = stdIndexEntries[streamNum];
+					if (!entries.length) continue;
+					var ix = MJPEGBuilder.createStandardIndex();
+					ix.chFourCC = 'ix' + ('0' + streamNum).slice(-2);
+					ix.dwSize = 24 + 8 * entries.length;
+					ix.dwEntriesInUse = entries.length;
+					ix.chChunkId = streams[streamNum].chId;
+					ix.qwBaseOffset = riffStart;
+					ix.aIndex = entries;
+
+					// dwDuration is given in stream ticks: frames for video, blocks for audio
+					var duration = entries.length;
+					if (streamNum == 1) {
+						duration = 0;
+						for (var i = 0;i < entries.length;i++) duration += entries[i].dwSize;
+						duration /= this.audioBlockAlign;
+					}
+					superIndexes[streamNum].aIndex.push(MJPEGBuilder.createSuperIndexEntry(pos, 8 + ix.dwSize, duration));
+
+					movi.aStreams.push(ix);
+					pos += 8 + ix.dwSize;
+				}
+				movi.dwSize = pos - moviStart;
+
+				if (segNum == 0) {
+					var indexChunk = {
+						chFourCC: 'idx1',
+						dwSize: frameIndices.length * 16,
+						aData: frameIndices,
+						_order: ['chFourCC', 'dwSize', 'aData']
+					};
+					pos += 8 + indexChunk.dwSize;
+					riff.aData = [this.headerLIST, movi, indexChunk];
+				} else {
+					riff.aData = [movi];
+				}
+				riff.dwSize = pos - riffStart - 8;
+				riffs.push(riff);
+			}
+
+			for (var streamNum = 0;streamNum < numStreams;streamNum++) {
+				var indx = superIndexes[streamNum];
+				indx.dwEntriesInUse = indx.aIndex.length;
+				while (indx.aIndex.length < numSegments) {
+					indx.aIndex.push(MJPEGBuilder.createSuperIndexEntry(0, 0, 0));
+				}
+			}
+
+			var bb = [];
+			for (var i = 0;i < riffs.length;i++) {
+				MJPEGBuilder.appendStruct(bb, riffs[i]);
+			}
+			return new Blob(bb, {type: 'video/avi'});
+		},
+
+		// distributes the chunks over RIFF segments of at most MaxRIFFSize bytes,
+		// taking the header and the indexes of each segment into account
+		createSegments: function(chunks, numStreams, hdrlSize) {
+			var segments = [];
+			var segment = null;
+			var segmentSize = 0;
+			for (var i = 0;i < chunks.length;i++) {
+				// chunk + standard index entry (+ idx1 entry in first segment)
+				var chunkSize = 8 + chunks[i].blob.size + (chunks[i].blob.size % 2) + 8;
+				if (!segment || segmentSize + chunkSize + (segments.length == 1 ? 16 : 0) > MaxRIFFSize) {
+					segment = [];
+					segments.push(segment);
+					// RIFF + LIST movi + standard index headers (+ LIST hdrl and idx1 header in first segment)
+					segmentSize = 12 + 12 + numStreams * 32 + (segments.length == 1 ? 8 + hdrlSize + 8 : 0);
+				}
+				segment.push(chunks[i]);
+				segmentSize += chunkSize + (segments.length == 1 ? 16 : 0);
+			}
+			return segments;
 		}
 	};
 
@@ -271,6 +547,18 @@
 				_u8tempDWORD[3] = (val >> 24) & 0xff;
 				bb.push(_abtempDWORD);
 				break;
+			case 'q': // QWORD
+				var _abtempQWORD = new ArrayBuffer(8);
+				var _u8tempQWORD = new Uint8Array(_abtempQWORD);
+				var _lotempQWORD = val % 0x100000000;
+				var _hitempQWORD = Math.floor(val / 0x100000000);
+
+				for (var j = 0;j < 4;j++) {
+					_u8tempQWORD[j]     = (_lotempQWORD >> (8 * j)) & 0xff;
+					_u8tempQWORD[j + 4] = (_hitempQWORD >> (8 * j)) & 0xff;
+				}
+				bb.push(_abtempQWORD);
+				break;
 			case 'w': // WORD
 				var _abtempWORD = new ArrayBuffer(2);
 				var _u8tempWORD = new Uint8Array(_abtempWORD);
@@ -366,6 +654,84 @@
 		};
 	};
 
+	MJPEGBuilder.createIndexEntry = function(chId, dwOffset, dwLength) {
+		return {
+			chId: chId,
+			dwFlags: AVIIF_KEYFRAME,
+			dwOffset: dwOffset,
+			dwLength: dwLength,
+			_order: ['chId', 'dwFlags', 'dwOffset', 'dwLength']
+		};
+	};
+
+	MJPEGBuilder.createODMLHeaderLIST = function() {
+		return {
+			chLIST: 'LIST',
+			dwSize: 4 + 8 + 248,
+			chFourCC: 'odml',
+			aData: null,
+			_order: ['chLIST', 'dwSize', 'chFourCC', 'aData']
+		};
+	};
+
+	MJPEGBuilder.createExtendedAVIHeader = function() {
+		return {
+			chFourCC: 'dmlh',
+			dwSize: 248,
+			dwTotalFrames: 0,
+			rFuture: new ArrayBuffer(244),
+			_order: ['chFourCC', 'dwSize', 'dwTotalFrames', 'rFuture']
+		};
+	};
+
+	MJPEGBuilder.createSuperIndex = function() {
+		return {
+			chFourCC: 'indx',
+			dwSize: 0,
+			wLongsPerEntry: 4,
+			bIndexSubType: 0,
+			bIndexType: AVI_INDEX_OF_INDEXES,
+			dwEntriesInUse: 0,
+			chChunkId: '00dc',
+			dwReserved1: 0,
+			dwReserved2: 0,
+			dwReserved3: 0,
+			aIndex: null,
+			_order: [
+				'chFourCC', 'dwSize', 'wLongsPerEntry', 'bIndexSubType', 'bIndexType', 'dwEntriesInUse',
+				'chChunkId', 'dwReserved1', 'dwReserved2', 'dwReserved3', 'aIndex'
+			]
+		};
+	};
+
+	MJPEGBuilder.createSuperIndexEntry = function(qwOffset, dwSize, dwDuration) {
+		return {
+			qwOffset: qwOffset,
+			dwSize: dwSize,
+			dwDuration: dwDuration,
+			_order: ['qwOffset', 'dwSize', 'dwDuration']
+		};
+	};
+
+	MJPEGBuilder.createStandardIndex = function() {
+		return {
+			chFourCC: 'ix00',
+			dwSize: 0,
+			wLongsPerEntry: 2,
+			bIndexSubType: 0,
+			bIndexType: AVI_INDEX_OF_CHUNKS,
+			dwEntriesInUse: 0,
+			chChunkId: '00dc',
+			qwBaseOffset: 0,
+			dwReserved3: 0,
+			aIndex: null,
+			_order: [
+				'chFourCC', 'dwSize', 'wLongsPerEntry', 'bIndexSubType', 'bIndexType', 'dwEntriesInUse',
+				'chChunkId', 'qwBaseOffset', 'dwReserved3', 'aIndex'
+			]
+		};
+	};
+
 	MJPEGBuilder.createMoviStream = function() {
 		return {
 			chType: '00dc',
@@ -0,0 +1,497 @@
+/**
+ * Javascript MJPEG AVI Reader
+ *
+ * @file Parses MJPEG AVIs (like the ones created by MJPEGBuilder) and provides access to
+ * the stream headers, the JPEG frames and the audio track.
+ * @version 0.1
+ *
+ * -- MIT License
+ *
+ * Copyright (c) 2020 Valentin Schmidt
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit
+ * persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR
+ * PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE
+ * FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+'use strict';
+
+(function(aGlobal) {
+
+	var AVIIF_KEYFRAME = 0x00000010;
+	var AVI_INDEX_OF_CHUNKS = 0x01;
+	var AVI_DELTAFRAME = 0x80000000;
+
+	/**
+	 * @constructor
+	 * @param {ArrayBuffer} buffer - the complete AVI file
+	 * @throws {Error} if the file is truncated or malformed
+	 */
+	function MJPEGReader(buffer) {
+		if (!(buffer instanceof ArrayBuffer)) {
+			throw new TypeError('MJPEGReader: expected an ArrayBuffer');
+		}
+		this.buffer = buffer;
+		this.view = new DataView(buffer);
+
+		this.mainHeader = null; // avih
+		this.streams = []; // [{header, format, superIndex, chunks}]
+		this.totalFrames = 0; // from dmlh if present, otherwise from avih
+		this.isOpenDML = false;
+
+		this._moviLists = [];
+		this._idx1 = null;
+
+		this.parse();
+	}
+
+	/**
+	 * Reads an AVI from a Blob or ArrayBuffer
+	 * @param {Blob|ArrayBuffer} data
+	 * @returns {Promise} resolves with a MJPEGReader instance
+	 */
+	MJPEGReader.read = function(data) {
+		if (data instanceof ArrayBuffer) {
+			return new Promise(function(resolve) {
+				resolve(new MJPEGReader(data));
+			});
+		}
+		if (typeof Blob == 'undefined' || !(data instanceof Blob)) {
+			return Promise.reject(new TypeError('MJPEGReader: expected a Blob or an ArrayBuffer'));
+		}
+		var read = data.arrayBuffer ? data.arrayBuffer() : new Promise(function(resolve, reject) {
+			var fr = new FileReader();
+			fr.onload = function() {
+				resolve(fr.result);
+			};
+			fr.onerror = function() {
+				reject(fr.error);
+			};
+			fr.readAsArrayBuffer(data);
+		});
+		return read.then(function(buffer) {
+			return new MJPEGReader(buffer);
+		});
+	};
+
+	MJPEGReader.prototype = {
+		parse: function() {
+			var len = this.buffer.byteLength;
+			if (len < 12 || this.readFourCC(0) != 'RIFF' || this.readFourCC(8) != 'AVI ') {
+				throw new Error('MJPEGReader: not an AVI file');
+			}
+
+			// a classic AVI consists of a single RIFF 'AVI ', OpenDML adds 'RIFF AVIX' segments
+			var pos = 0;
+			while (pos + 8 <= len) {
+				var riffSize = this.checkChunk(pos, 'RIFF');
+				var formType = this.readFourCC(pos + 8);
+				if (formType != (pos == 0 ? 'AVI ' : 'AVIX')) {
+					throw new Error('MJPEGReader: unexpected RIFF form type "' + formType + '" at offset ' + pos);
+				}
+				this.parseRIFF(pos + 12, pos + 8 + riffSize);
+				pos += 8 + riffSize + (riffSize % 2);
+			}
+
+			if (!this.mainHeader) {
+				throw new Error('MJPEGReader: missing main header (avih)');
+			}
+			if (!this._moviLists.length) {
+				throw new Error('MJPEGReader: missing movi list');
+			}
+			if (!this.totalFrames) this.totalFrames = this.mainHeader.totalFrames;
+
+			this.buildIndex();
+		},
+
+		parseRIFF: function(pos, end) {
+			while (pos + 8 <= end) {
+				var fourCC = this.readFourCC(pos);
+				var size = this.checkChunk(pos);
+				if (fourCC == 'LIST') {
+					var listType = this.readFourCC(pos + 8);
+					if (listType == 'hdrl') {
+						this.parseHeaderList(pos + 12, pos + 8 + size);
+					} else if (listType == 'movi') {
+						// idx1 offsets may be relative to the 'movi' FourCC
+						this._moviLists.push({start: pos + 8, end: pos + 8 + size});
+					}
+				} else if (fourCC == 'idx1') {
+					this._idx1 = {start: pos + 8, end: pos + 8 + size};
+				}
+				pos += 8 + size + (size % 2);
+			}
+		},
+
+		parseHeaderList: function(pos, end) {
+			while (pos + 8 <= end) {
+				var fourCC = this.readFourCC(pos);
+				var size = this.checkChunk(pos);
+				if (fourCC == 'avih') {
+					this.mainHeader = this.parseMainHeader(pos + 8, size);
+				} else if (fourCC == 'LIST') {
+					var listType = this.readFourCC(pos + 8);
+					if (listType == 'strl') {
+						this.streams.push(this.parseStreamList(pos + 12, pos + 8 + size));
+					} else if (listType == 'odml') {
+						this.isOpenDML = true;
+						if (this.readFourCC(pos + 12) == 'dmlh') {
+							this.totalFrames = this.readDWORD(pos + 20);
+						}
+					}
+				}
+				pos += 8 + size + (size % 2);
+			}
+		},
+
+		parseMainHeader: function(pos, size) {
+			if (size < 40) throw new Error('MJPEGReader: invalid main header (avih)');
+			return {
+				microSecPerFrame: this.readDWORD(pos),
+				maxBytesPerSec: this.readDWORD(pos + 4),
+				paddingGranularity: this.readDWORD(pos + 8),
+				flags: this.readDWORD(pos + 12),
+				totalFrames: this.readDWORD(pos + 16),
+				initialFrames: this.readDWORD(pos + 20),
+				streams: this.readDWORD(pos + 24),
+				suggestedBufferSize: this.readDWORD(pos + 28),
+				width: this.readDWORD(pos + 32),
+				height: this.readDWORD(pos + 36)
+			};
+		},
+
+		parseStreamList: function(pos, end) {
+			var stream = {
+				header: null,
+				format: null,
+				superIndex: null,
+				chunks: []
+			};
+			while (pos + 8 <= end) {
+				var fourCC = this.readFourCC(pos);
+				var size = this.checkChunk(pos);
+				if (fourCC == 'strh') {
+					stream.header = this.parseStreamHeader(pos + 8, size);
+				} else if (fourCC == 'strf') {
+					if (!stream.header) throw new Error('MJPEGReader: stream format (strf) before stream header (strh)');
+					stream.format = stream.header.type == 'auds'
+						? this.parseWaveFormat(pos + 8, size)
+						: this.parseBitmapHeader(pos + 8, size);
+				} else if (fourCC == 'indx') {
+					stream.superIndex = this.parseSuperIndex(pos + 8, size);
+				}
+				pos += 8 + size + (size % 2);
+			}
+			if (!stream.header) throw new Error('MJPEGReader: missing stream header (strh)');
+			return stream;
+		},
+
+		parseStreamHeader: function(pos, size) {
+			if (size < 48) throw new Error('MJPEGReader: invalid stream header (strh)');
+			var header = {
+				type: this.readFourCC(pos),
+				handler: this.readFourCC(pos + 4),
+				flags: this.readDWORD(pos + 8),
+				priority: this.readWORD(pos + 12),
+				language: this.readWORD(pos + 14),
+				initialFrames: this.readDWORD(pos + 16),
+				scale: this.readDWORD(pos + 20),
+				rate: this.readDWORD(pos + 24),
+				start: this.readDWORD(pos + 28),
+				length: this.readDWORD(pos + 32),
+				suggestedBufferSize: this.readDWORD(pos + 36),
+				quality: this.readDWORD(pos + 40),
+				sampleSize: this.readDWORD(pos + 44),
+				frame: null
+			};
+			if (size >= 56) {
+				header.frame = {
+					left: this.readWORD(pos + 48),
+					top: this.readWORD(pos + 50),
+					right: this.readWORD(pos + 52),
+					bottom: this.readWORD(pos + 54)
+				};
+			}
+			if (!header.scale || !header.rate) {
+				throw new Error('MJPEGReader: invalid time base in stream header (strh)');
+			}
+			return header;
+		},
+
+		parseBitmapHeader: function(pos, size) {
+			if (size < 40) throw new Error('MJPEGReader: invalid video format (strf)');
+			return {
+				width: this.readDWORD(pos + 4),
+				height: this.readDWORD(pos + 8),
+				planes: this.readWORD(pos + 12),
+				bitCount: this.readWORD(pos + 14),
+				compression: this.readFourCC(pos + 16),
+				sizeImage: this.readDWORD(pos + 20)
+			};
+		},
+
+		parseWaveFormat: function(pos, size) {
+			if (size < 16) throw new Error('MJPEGReader: invalid audio format (strf)');
+			var cbSize = size >= 18 ? this.readWORD(pos + 16) : 0;
+			if (18 + cbSize > size) throw new Error('MJPEGReader: invalid audio format extension (strf)');
+			return {
+				formatTag: this.readWORD(pos),
+				numChannels: this.readWORD(pos + 2),
+				sampleRate: this.readDWORD(pos + 4),
+				avgBytesPerSec: this.readDWORD(pos + 8),
+				blockAlign: this.readWORD(pos + 12),
+				bitsPerSample: this.readWORD(pos + 14),
+				extra: new Uint8Array(this.buffer.slice(pos + 18, pos + 18 + cbSize))
+			};
+		},
+
+		parseSuperIndex: function(pos, size) {
+			if (size < 24) throw new Error('MJPEGReader: invalid super index (indx)');
+			var longsPerEntry = this.readWORD(pos);
+			var entriesInUse = this.readDWORD(pos + 4);
+			if (longsPerEntry != 4 || 24 + 16 * entriesInUse > size) {
+				throw new Error('MJPEGReader: invalid super index (indx)');
+			}
+			var entries = [];
+			for (var i = 0;i < entriesInUse;i++) {
+				var entryPos = pos + 24 + 16 * i;
+				entries.push({
+					offset: this.readQWORD(entryPos),
+					size: this.readDWORD(entryPos + 8),
+					duration: this.readDWORD(entryPos + 12)
+				});
+			}
+			return entries;
+		},
+
+		// fills stream.chunks of each stream, using (in this order of preference)
+		// the OpenDML indexes, the idx1 index or the movi lists
+		buildIndex: function() {
+			var hasSuperIndex = this.streams.some(function(stream) {
+				return stream.superIndex && stream.superIndex.length;
+			});
+			if (hasSuperIndex) {
+				for (var i = 0;i < this.streams.length;i++) {
+					var superIndex = this.streams[i].superIndex || [];
+					for (var j = 0;j < superIndex.length;j++) {
+						this.readStandardIndex(this.streams[i], superIndex[j].offset);
+					}
+				}
+			} else if (this._idx1) {
+				this.readLegacyIndex();
+			} else {
+				for (var i = 0;i < this._moviLists.length;i++) {
+					this.scanMoviList(this._moviLists[i].start + 4, this._moviLists[i].end);
+				}
+			}
+		},
+
+		readStandardIndex: function(stream, pos) {
+			var size = this.checkChunk(pos);
+			if (this.readFourCC(pos).slice(0, 2) != 'ix' || size < 24) {
+				throw new Error('MJPEGReader: invalid standard index at offset ' + pos);
+			}
+			pos += 8;
+			var longsPerEntry = this.readWORD(pos);
+			var indexType = this.readBYTE(pos + 3);
+			var entriesInUse = this.readDWORD(pos + 4);
+			var baseOffset = this.readQWORD(pos + 12);
+			if (longsPerEntry != 2 || indexType != AVI_INDEX_OF_CHUNKS || 24 + 8 * entriesInUse > size) {
+				throw new Error('MJPEGReader: invalid standard index at offset ' + (pos - 8));
+			}
+			for (var i = 0;i < entriesInUse;i++) {
+				var entryPos = pos + 24 + 8 * i;
+				var chunkSize = this.readDWORD(entryPos + 4);
+				this.addChunk(stream, baseOffset + this.readDWORD(entryPos), chunkSize & ~AVI_DELTAFRAME, !(chunkSize & AVI_DELTAFRAME));
+			}
+		},
+
+		readLegacyIndex: function() {
+			var start = this._idx1.start;
+			var end = this._idx1.end;
+			if ((end - start) % 16) throw new Error('MJPEGReader: invalid index (idx1)');
+
+			// offsets are usually relative to the 'movi' FourCC, but some writers use absolute offsets
+			var base = this._moviLists[0].start;
+			if (end > start) {
+				var firstOffset = this.readDWORD(start + 8);
+				if (base + firstOffset + 8 > this.buffer.byteLength || this.readFourCC(base + firstOffset) != this.readFourCC(start)) {
+					base = 0;
+				}
+			}
+
+			for (var pos = start;pos < end;pos += 16) {
+				var chId = this.readFourCC(pos);
+				var stream = this.streams[parseInt(chId.slice(0, 2), 10)];
+				if (!stream) continue; // e.g. 'rec ' lists
+				var chunkPos = base + this.readDWORD(pos + 8);
+				this.checkChunk(chunkPos, chId);
+				this.addChunk(stream, chunkPos + 8, this.readDWORD(pos + 12), !!(this.readDWORD(pos + 4) & AVIIF_KEYFRAME));
+			}
+		},
+
+		scanMoviList: function(pos, end) {
+			while (pos + 8 <= end) {
+				var chId = this.readFourCC(pos);
+				var size = this.checkChunk(pos);
+				if (chId == 'LIST') {
+					this.scanMoviList(pos + 12, pos + 8 + size); // 'rec ' list
+				} else {
+					var stream = this.streams[parseInt(chId.slice(0, 2), 10)];
+					if (stream) this.addChunk(stream, pos + 8, size, true);
+				}
+				pos += 8 + size + (size % 2);
+			}
+		},
+
+		addChunk: function(stream, offset, size, keyframe) {
+			if (offset + size > this.buffer.byteLength) {
+				throw new Error('MJPEGReader: truncated file, chunk at offset ' + offset + ' exceeds the end of the file');
+			}
+			stream.chunks.push({offset: offset, size: size, keyframe: keyframe});
+		},
+
+		// returns the size of the chunk at pos, after checking its FourCC and bounds
+		checkChunk: function(pos, expectedFourCC) {
+			if (pos + 8 > this.buffer.byteLength) {
+				throw new Error('MJPEGReader: truncated file, chunk header at offset ' + pos + ' exceeds the end of the file');
+			}
+			var fourCC = this.readFourCC(pos);
+			if (expectedFourCC && fourCC != expectedFourCC) {
+				throw new Error('MJPEGReader: expected "' + expectedFourCC + '" at offset ' + pos + ', found "' + fourCC + '"');
+			}
+			var size = this.readDWORD(pos + 4);
+			if (pos + 8 + size > this.buffer.byteLength) {
+				throw new Error('MJPEGReader: truncated file, "' + fourCC + '" chunk at offset ' + pos + ' exceeds the end of the file');
+			}
+			return size;
+		},
+
+		readFourCC: function(pos) {
+			return String.fromCharCode(
+				this.view.getUint8(pos), this.view.getUint8(pos + 1),
+				this.view.getUint8(pos + 2), this.view.getUint8(pos + 3)
+			);
+		},
+
+		readBYTE: function(pos) {
+			return this.view.getUint8(pos);
+		},
+
+		readWORD: function(pos) {
+			return this.view.getUint16(pos, true);
+		},
+
+		readDWORD: function(pos) {
+			return this.view.getUint32(pos, true);
+		},
+
+		readQWORD: function(pos) {
+			return this.view.getUint32(pos, true) + this.view.getUint32(pos + 4, true) * 0x100000000;
+		},
+
+		/**
+		 * @returns {object} the first video stream ({header, format, superIndex, chunks}), or null
+		 */
+		getVideoStream: function() {
+			return this.getStream('vids');
+		},
+
+		/**
+		 * @returns {object} the first audio stream ({header, format, superIndex, chunks}), or null
+		 */
+		getAudioStream: function() {
+			return this.getStream('auds');
+		},
+
+		getStream: function(type) {
+			for (var i = 0;i < this.streams.length;i++) {
+				if (this.streams[i].header.type == type) return this.streams[i];
+			}
+			return null;
+		},
+
+		/**
+		 * @returns {number} the number of video frames
+		 */
+		getFrameCount: function() {
+			var stream = this.getVideoStream();
+			return stream ? stream.chunks.length : 0;
+		},
+
+		/**
+		 * @param {number} frameNum
+		 * @returns {object} {blob, timestamp (in seconds), keyframe}
+		 */
+		getFrame: function(frameNum) {
+			var stream = this.getVideoStream();
+			if (!stream || frameNum < 0 || frameNum >= stream.chunks.length) {
+				throw new RangeError('MJPEGReader: frame ' + frameNum + ' does not exist');
+			}
+			var chunk = stream.chunks[frameNum];
+			var header = stream.header;
+			return {
+				blob: new Blob([new Uint8Array(this.buffer, chunk.offset, chunk.size)], {type: 'image/jpeg'}),
+				timestamp: (header.start + frameNum) * header.scale / header.rate,
+				keyframe: chunk.keyframe
+			};
+		},
+
+		/**
+		 * @returns {array} all video frames, see getFrame()
+		 */
+		getFrames: function() {
+			var frames = [];
+			for (var i = 0;i < this.getFrameCount();i++) {
+				frames.push(this.getFrame(i));
+			}
+			return frames;
+		},
+
+		/**
+		 * @returns {object} {blob, format, duration (in seconds)} with the raw (e.g. PCM) audio data
+		 * and its WAVEFORMATEX, or null if there is no audio stream
+		 */
+		getAudio: function() {
+			var stream = this.getAudioStream();
+			if (!stream) return null;
+			var parts = [];
+			var size = 0;
+			for (var i = 0;i < stream.chunks.length;i++) {
+				var chunk = stream.chunks[i];
+				parts.push(new Uint8Array(this.buffer, chunk.offset, chunk.size));
+				size += chunk.size;
+			}
+			return {
+				blob: new Blob(parts),
+				format: stream.format,
+				duration: stream.format && stream.format.avgBytesPerSec ? size / stream.format.avgBytesPerSec : 0
+			};
+		},
+
+		/**
+		 * @returns {number} the duration of the video stream in seconds
+		 */
+		getDuration: function() {
+			var stream = this.getVideoStream();
+			if (!stream) return 0;
+			return stream.chunks.length * stream.header.scale / stream.header.rate;
+		}
+	};
+
+	// export
+	aGlobal.MJPEGReader = MJPEGReader;
+
+})(window);
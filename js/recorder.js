@@ -29,6 +29,49 @@ function _interopRequireDefault(obj) {
 	return obj && obj.__esModule ? obj : { default: obj };
 }
 
+// source of the AudioWorkletProcessor, collects bufferLen frames and posts them to the main thread
+function recorderCaptureProcessor() {
+	class RecorderCaptureProcessor extends AudioWorkletProcessor {
+		constructor(options) {
+			super();
+			this.numChannels = options.processorOptions.numChannels;
+			this.bufferLen = options.processorOptions.bufferLen;
+			this.initBuffers();
+		}
+
+		initBuffers() {
+			this.buffers = [];
+			for (var channel = 0; channel < this.numChannels; channel++) {
+				this.buffers.push(new Float32Array(this.bufferLen));
+			}
+			this.length = 0;
+		}
+
+		process(inputs) {
+			var input = inputs[0];
+			if (!input.length) return true; // no input connected
+			var frames = input[0].length;
+			var offset = 0;
+			while (offset < frames) {
+				var len = Math.min(frames - offset, this.bufferLen - this.length);
+				for (var channel = 0; channel < this.numChannels; channel++) {
+					this.buffers[channel].set(input[channel].subarray(offset, offset + len), this.length);
+				}
+				this.length += len;
+				offset += len;
+				if (this.length == this.bufferLen) {
+					this.port.postMessage(this.buffers, this.buffers.map(function (buffer) {
+						return buffer.buffer;
+					}));
+					this.initBuffers();
+				}
+			}
+			return true;
+		}
+	}
+	registerProcessor('recorder-capture', RecorderCaptureProcessor);
+}
+
 function _classCallCheck(instance, Constructor) {
 	if (!(instance instanceof Constructor)) {
 		throw new TypeError("Cannot call a class as a function");
@@ -43,84 +86,157 @@ var Recorder = exports.Recorder = (function () {
 
 		this.config = {
 			bufferLen: 4096,
-			numChannels: 2,
-			mimeType: 'audio/wav'
+			numChannels: 2, // exported channels, 1 (mono) or 2 (stereo)
+			targetSampleRate: undefined, // exported sample rate, default is the sample rate of the AudioContext
+			mimeType: 'audio/wav',
+			useWorklet: true, // capture with an AudioWorklet if supported, otherwise with a ScriptProcessorNode
+			encoding: 'pcm', // exportRaw encoding: 'pcm' (16 bit), 'ima-adpcm', 'mulaw' or 'alaw'
+			chunkDuration: 0, // if > 0, the encoded audio is passed to onchunk in chunks of this many seconds while recording
+			onchunk: undefined // receives [blob, numChannels, sampleRate, format] like exportRaw
 		};
 		this.recording = false;
-		this.callbacks = {
-			getBuffer: [],
-			exportWAV: [],
-			exportRaw: []
-		};
+		this.disposed = false;
+		// pending worker requests by id, the worker answers with the id of the request
+		this.requests = {};
+		this.requestId = 0;
 
 		Object.assign(this.config, cfg);
+		this.inputChannels = 2; // captured channels, the worker mixes them to config.numChannels
 		this.context = source.context;
-		this.node = (this.context.createScriptProcessor || this.context.createJavaScriptNode).call(this.context, this.config.bufferLen, this.config.numChannels, this.config.numChannels);
-
-		this.node.onaudioprocess = function (e) {
-			if (!_this.recording) return;
-
-			var buffer = [];
-			for (var channel = 0; channel < _this.config.numChannels; channel++) {
-				buffer.push(e.inputBuffer.getChannelData(channel));
-			}
-			_this.worker.postMessage({
-				command: 'record',
-				buffer: buffer
+		this.source = source;
+
+		// The capture node has to be connected to the destination to be processed,
+		// a muted gain node in between makes sure that nothing reaches the speakers.
+		this.sink = this.context.createGain();
+		this.sink.gain.value = 0;
+		this.sink.connect(this.context.destination);
+
+		if (this.config.useWorklet && this.context.audioWorklet && typeof AudioWorkletNode != 'undefined') {
+			var url = URL.createObjectURL(new Blob(['(' + recorderCaptureProcessor.toString() + ')();'], { type: 'text/javascript' }));
+			this.context.audioWorklet.addModule(url).then(function () {
+				URL.revokeObjectURL(url);
+				if (_this.disposed) return;
+				_this.node = new AudioWorkletNode(_this.context, 'recorder-capture', {
+					numberOfInputs: 1,
+					numberOfOutputs: 1,
+					channelCount: _this.inputChannels,
+					channelCountMode: 'explicit',
+					processorOptions: {
+						numChannels: _this.inputChannels,
+						bufferLen: _this.config.bufferLen
+					}
+				});
+				_this.node.port.onmessage = function (e) {
+					_this.onBuffer(e.data);
+				};
+				_this.connectNode();
+			}).catch(function () {
+				URL.revokeObjectURL(url);
+				if (_this.disposed) return;
+				_this.createScriptProcessor();
 			});
-		};
-
-		source.connect(this.node);
-		this.node.connect(this.context.destination); //this should not be necessary
+		} else {
+			this.createScriptProcessor();
+		}
 
 		var self = {};
 		this.worker = new _inlineWorker2.default(function () {
 			var recLength = 0,
 				recBuffers = [],
+				inputSampleRate = undefined,
+				inputChannels = undefined,
 				sampleRate = undefined,
-				numChannels = undefined;
-
+				numChannels = undefined,
+				encoding = undefined;
+
+			// streaming, the input is converted and encoded as it arrives and posted in chunks
+			// of chunkFrames frames instead of being collected in recBuffers
+			var chunkFrames = 0,
+				streamBuffers = [],
+				streamLength = 0,
+				resamplers = [],
+				imaStates = undefined;
+
+			var RESAMPLER_ZERO_CROSSINGS = 16,
+				RESAMPLER_RESOLUTION = 256;
+
+			var IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+			var IMA_STEP_TABLE = [
+				7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45, 50, 55, 60,
+				66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307, 337, 371,
+				408, 449, 494, 544, 598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878,
+				2066, 2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845,
+				8630, 9493, 10442, 11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086,
+				29794, 32767
+			];
+
+			// G.711 segment ends (of the 14 bit μ-law and 13 bit A-law magnitudes)
+			var SEG_UEND = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+			var SEG_AEND = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+			// messages are handled in the order they were sent, every command except
+			// init and record is answered with the id of the request
 			self.onmessage = function (e) {
-				switch (e.data.command) {
-					case 'init':
-						init(e.data.config);
-						break;
-					case 'record':
-						record(e.data.buffer);
-						break;
-					case 'exportWAV':
-						exportWAV(e.data.type);
-						break;
-					case 'exportRaw':
-						exportRaw(e.data.type);
-						break;
-					case 'getBuffer':
-						getBuffer();
-						break;
-					case 'clear':
-						clear();
-						break;
+				var result = undefined;
+				try {
+					switch (e.data.command) {
+						case 'init':
+							init(e.data.config);
+							return;
+						case 'record':
+							record(e.data.buffer);
+							return;
+						case 'exportWAV':
+							result = exportWAV(e.data.type);
+							break;
+						case 'exportRaw':
+							result = exportRaw(e.data.type);
+							break;
+						case 'getBuffer':
+							result = getOutputBuffers();
+							break;
+						case 'flush':
+							flush();
+							break;
+						case 'clear':
+							clear();
+							break;
+					}
+				} catch (err) {
+					self.postMessage({ command: e.data.command, id: e.data.id, error: err.message });
+					return;
 				}
+				self.postMessage({ command: e.data.command, id: e.data.id, data: result });
 			};
 
 			function init(config) {
-				sampleRate = config.sampleRate;
+				inputSampleRate = config.sampleRate;
+				inputChannels = config.inputChannels;
+				sampleRate = config.targetSampleRate || config.sampleRate;
 				numChannels = config.numChannels;
+				encoding = config.encoding;
+				chunkFrames = 0;
+				if (config.chunkDuration > 0) {
+					// whole ADPCM blocks per chunk
+					var blockFrames = encoding == 'ima-adpcm' ? imaBlockLayout().samplesPerBlock : 1;
+					chunkFrames = Math.max(1, Math.round(config.chunkDuration * sampleRate / blockFrames)) * blockFrames;
+				}
 				initBuffers();
 			}
 
 			function record(inputBuffer) {
-				for (var channel = 0; channel < numChannels; channel++) {
+				if (chunkFrames) {
+					streamInput(inputBuffer);
+					return;
+				}
+				for (var channel = 0; channel < inputChannels; channel++) {
 					recBuffers[channel].push(inputBuffer[channel]);
 				}
 				recLength += inputBuffer[0].length;
 			}
 
 			function exportWAV(type) {
-				var buffers = [];
-				for (var channel = 0; channel < numChannels; channel++) {
-					buffers.push(mergeBuffers(recBuffers[channel], recLength));
-				}
+				var buffers = getOutputBuffers();
 				var interleaved = undefined;
 				if (numChannels === 2) {
 					interleaved = interleave(buffers[0], buffers[1]);
@@ -128,35 +244,338 @@ var Recorder = exports.Recorder = (function () {
 					interleaved = buffers[0];
 				}
 				var dataview = encodeWAV(interleaved);
-				var audioBlob = new Blob([dataview], { type: type });
-
-				self.postMessage({ command: 'exportWAV', data: audioBlob });
+				return new Blob([dataview], { type: type });
 			}
 
 			function exportRaw(type) {
-				var buffers = [];
-				for (var channel = 0; channel < numChannels; channel++) {
-					buffers.push(mergeBuffers(recBuffers[channel], recLength));
-				}
+				var buffers = getOutputBuffers();
 				var interleaved = undefined;
 				if (numChannels === 2) {
 					interleaved = interleave(buffers[0], buffers[1]);
 				} else {
 					interleaved = buffers[0];
 				}
-				var buffer = new ArrayBuffer(interleaved.length * 2);
-				var dataview = new DataView(buffer);
-				floatTo16BitPCM(dataview, 0, interleaved);
-				var blob = new Blob([dataview], { type: type });
-				self.postMessage({ command: 'exportRaw', data: [blob, numChannels, sampleRate] });
+				var encoded = encodeRaw(interleaved);
+				var blob = new Blob([encoded.data], { type: type });
+				return [blob, numChannels, sampleRate, encoded.format];
 			}
 
-			function getBuffer() {
+			function streamInput(inputBuffer) {
+				var buffers = mixChannels(inputBuffer);
+				for (var channel = 0; channel < numChannels; channel++) {
+					if (sampleRate != inputSampleRate) {
+						if (!resamplers[channel]) resamplers[channel] = createResampler(inputSampleRate, sampleRate);
+						buffers[channel] = resamplers[channel].process(buffers[channel]);
+					}
+					streamBuffers[channel].push(buffers[channel]);
+				}
+				streamLength += buffers[0].length;
+				while (streamLength >= chunkFrames) {
+					postChunk(chunkFrames);
+				}
+			}
+
+			// encodes and posts the remaining input, the stream starts over afterwards
+			function flush() {
+				if (!chunkFrames) return;
+				if (sampleRate != inputSampleRate && resamplers.length) {
+					for (var channel = 0; channel < numChannels; channel++) {
+						var rest = resamplers[channel].flush();
+						streamBuffers[channel].push(rest);
+					}
+					streamLength += rest.length;
+				}
+				while (streamLength > 0) {
+					postChunk(Math.min(chunkFrames, streamLength));
+				}
+				resamplers = [];
+				imaStates = undefined;
+			}
+
+			// removes the first frameCount frames from streamBuffers and posts them encoded
+			function postChunk(frameCount) {
 				var buffers = [];
 				for (var channel = 0; channel < numChannels; channel++) {
+					var parts = streamBuffers[channel];
+					var buffer = new Float32Array(frameCount);
+					var offset = 0;
+					while (offset < frameCount) {
+						var len = Math.min(parts[0].length, frameCount - offset);
+						buffer.set(parts[0].subarray(0, len), offset);
+						offset += len;
+						if (len == parts[0].length) {
+							parts.shift();
+						} else {
+							parts[0] = parts[0].subarray(len);
+						}
+					}
+					buffers.push(buffer);
+				}
+				streamLength -= frameCount;
+				var interleaved = numChannels === 2 ? interleave(buffers[0], buffers[1]) : buffers[0];
+				if (encoding == 'ima-adpcm' && !imaStates) imaStates = createIMAStates();
+				var encoded = encodeRaw(interleaved, imaStates);
+				var blob = new Blob([encoded.data]);
+				self.postMessage({ command: 'chunk', data: [blob, numChannels, sampleRate, encoded.format] });
+			}
+
+			// returns the encoded samples and a description of the format
+			// (WAVEFORMATEX fields, samplesPerBlock is the number of samples per channel in a block),
+			// imaStates continues an IMA ADPCM stream encoded in several parts
+			function encodeRaw(samples, imaStates) {
+				switch (encoding) {
+					case 'ima-adpcm':
+						return encodeIMAADPCM(samples, imaStates);
+					case 'mulaw':
+					case 'alaw':
+						var data = new Uint8Array(samples.length);
+						var compress = encoding == 'mulaw' ? linearToMuLaw : linearToALaw;
+						for (var i = 0; i < samples.length; i++) {
+							data[i] = compress(floatTo16Bit(samples[i]));
+						}
+						return {
+							data: data,
+							format: { formatTag: encoding == 'mulaw' ? 7 : 6, bitsPerSample: 8, blockAlign: numChannels, samplesPerBlock: 1 }
+						};
+					default:
+						var buffer = new ArrayBuffer(samples.length * 2);
+						var dataview = new DataView(buffer);
+						floatTo16BitPCM(dataview, 0, samples);
+						return {
+							data: dataview,
+							format: { formatTag: 1, bitsPerSample: 16, blockAlign: numChannels * 2, samplesPerBlock: 1 }
+						};
+				}
+			}
+
+			function floatTo16Bit(sample) {
+				var s = Math.max(-1, Math.min(1, sample));
+				return (s < 0 ? s * 0x8000 : s * 0x7FFF) | 0;
+			}
+
+			// G.711, based on the reference implementation by Sun Microsystems
+			// returns the index of the first segment end >= value, or the table length
+			function searchSegment(value, table) {
+				for (var i = 0; i < table.length; i++) {
+					if (value <= table[i]) return i;
+				}
+				return table.length;
+			}
+
+			function linearToMuLaw(pcm) {
+				var mask = 0xFF;
+				pcm >>= 2;
+				if (pcm < 0) {
+					pcm = -pcm;
+					mask = 0x7F;
+				}
+				if (pcm > 8159) pcm = 8159;
+				pcm += 0x21;
+				var seg = searchSegment(pcm, SEG_UEND);
+				if (seg >= 8) return 0x7F ^ mask;
+				return ((seg << 4) | ((pcm >> (seg + 1)) & 0xF)) ^ mask;
+			}
+
+			function linearToALaw(pcm) {
+				var mask = 0xD5;
+				pcm >>= 3;
+				if (pcm < 0) {
+					pcm = -pcm - 1;
+					mask = 0x55;
+				}
+				var seg = searchSegment(pcm, SEG_AEND);
+				if (seg >= 8) return 0x7F ^ mask;
+				var aval = seg << 4;
+				aval |= seg < 2 ? (pcm >> 1) & 0xF : (pcm >> seg) & 0xF;
+				return aval ^ mask;
+			}
+
+			function imaBlockLayout() {
+				var blockAlign = 256 * numChannels * (sampleRate <= 11025 ? 1 : sampleRate <= 22050 ? 2 : 4);
+				return { blockAlign: blockAlign, samplesPerBlock: (blockAlign - 4 * numChannels) * 2 / numChannels + 1 };
+			}
+
+			function createIMAStates() {
+				var states = [];
+				for (var channel = 0; channel < numChannels; channel++) {
+					states.push({ predictor: 0, index: 0 });
+				}
+				return states;
+			}
+
+			// IMA ADPCM in the Microsoft WAV block layout: each block starts with a 4 byte header per
+			// channel (first sample and step index), followed by groups of 8 samples (4 bytes) per channel
+			function encodeIMAADPCM(samples, states) {
+				var layout = imaBlockLayout();
+				var blockAlign = layout.blockAlign;
+				var samplesPerBlock = layout.samplesPerBlock;
+				var frameCount = samples.length / numChannels;
+				var blockCount = Math.ceil(frameCount / samplesPerBlock);
+				var data = new Uint8Array(blockCount * blockAlign);
+				states = states || createIMAStates();
+				// returns sample (frameNum, channel), the last block is padded with silence
+				var sampleAt = function sampleAt(frameNum, channel) {
+					return frameNum < frameCount ? floatTo16Bit(samples[frameNum * numChannels + channel]) : 0;
+				};
+
+				for (var block = 0; block < blockCount; block++) {
+					var offset = block * blockAlign;
+					var firstFrame = block * samplesPerBlock;
+					for (var channel = 0; channel < numChannels; channel++) {
+						var state = states[channel];
+						state.predictor = sampleAt(firstFrame, channel);
+						data[offset++] = state.predictor & 0xFF;
+						data[offset++] = (state.predictor >> 8) & 0xFF;
+						data[offset++] = state.index;
+						data[offset++] = 0;
+					}
+					for (var group = 0; group < (samplesPerBlock - 1) / 8; group++) {
+						for (var channel = 0; channel < numChannels; channel++) {
+							for (var i = 0; i < 8; i += 2) {
+								var frameNum = firstFrame + 1 + group * 8 + i;
+								var lo = encodeIMASample(states[channel], sampleAt(frameNum, channel));
+								var hi = encodeIMASample(states[channel], sampleAt(frameNum + 1, channel));
+								data[offset++] = lo | (hi << 4);
+							}
+						}
+					}
+				}
+				return {
+					data: data,
+					format: { formatTag: 0x11, bitsPerSample: 4, blockAlign: blockAlign, samplesPerBlock: samplesPerBlock }
+				};
+			}
+
+			function encodeIMASample(state, sample) {
+				var step = IMA_STEP_TABLE[state.index];
+				var diff = sample - state.predictor;
+				var nibble = 0;
+				if (diff < 0) {
+					nibble = 8;
+					diff = -diff;
+				}
+				var vpdiff = step >> 3;
+				if (diff >= step) {
+					nibble |= 4;
+					diff -= step;
+					vpdiff += step;
+				}
+				step >>= 1;
+				if (diff >= step) {
+					nibble |= 2;
+					diff -= step;
+					vpdiff += step;
+				}
+				step >>= 1;
+				if (diff >= step) {
+					nibble |= 1;
+					vpdiff += step;
+				}
+				state.predictor += nibble & 8 ? -vpdiff : vpdiff;
+				state.predictor = Math.max(-32768, Math.min(32767, state.predictor));
+				state.index = Math.max(0, Math.min(88, state.index + IMA_INDEX_TABLE[nibble]));
+				return nibble;
+			}
+
+			// merges the recorded buffers and converts them to the export channels and sample rate
+			function getOutputBuffers() {
+				var buffers = [];
+				for (var channel = 0; channel < inputChannels; channel++) {
 					buffers.push(mergeBuffers(recBuffers[channel], recLength));
 				}
-				self.postMessage({ command: 'getBuffer', data: buffers });
+				buffers = mixChannels(buffers);
+				if (sampleRate != inputSampleRate) {
+					for (var channel = 0; channel < numChannels; channel++) {
+						var resampler = createResampler(inputSampleRate, sampleRate);
+						buffers[channel] = concatBuffers(resampler.process(buffers[channel]), resampler.flush());
+					}
+				}
+				return buffers;
+			}
+
+			// downmixes (average of all channels) or upmixes (copies of the last channel) to numChannels
+			function mixChannels(buffers) {
+				if (buffers.length == numChannels) return buffers;
+				if (numChannels == 1) {
+					var mono = new Float32Array(buffers[0].length);
+					for (var channel = 0; channel < buffers.length; channel++) {
+						for (var i = 0; i < mono.length; i++) {
+							mono[i] += buffers[channel][i] / buffers.length;
+						}
+					}
+					return [mono];
+				}
+				var result = [];
+				for (var channel = 0; channel < numChannels; channel++) {
+					result.push(buffers[Math.min(channel, buffers.length - 1)]);
+				}
+				return result;
+			}
+
+			// Windowed sinc (Blackman) resampler. When downsampling, the cutoff frequency is lowered to
+			// below the new Nyquist frequency, so the filter also works as anti-aliasing filter.
+			// The resampler keeps its state, so a signal can be processed in consecutive chunks,
+			// flush() returns the remaining samples at the end of the signal.
+			function createResampler(fromRate, toRate) {
+				var ratio = fromRate / toRate;
+				var cutoff = Math.min(1, toRate / fromRate) * 0.95;
+				var halfWidth = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff); // in input samples
+
+				var table = new Float32Array(halfWidth * RESAMPLER_RESOLUTION + 2);
+				for (var i = 0; i <= halfWidth * RESAMPLER_RESOLUTION; i++) {
+					var x = i / RESAMPLER_RESOLUTION;
+					var sinc = i == 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+					var blackman = 0.42 + 0.5 * Math.cos(Math.PI * x / halfWidth) + 0.08 * Math.cos(2 * Math.PI * x / halfWidth);
+					table[i] = cutoff * sinc * blackman;
+				}
+
+				// the buffer starts with halfWidth samples of silence, position is the
+				// input position of the next output sample relative to the buffer start
+				var buffer = new Float32Array(halfWidth);
+				var position = halfWidth;
+
+				// computes all output samples before input position end
+				var run = function run(end) {
+					var count = Math.max(0, Math.ceil((end - position) / ratio));
+					var output = new Float32Array(count);
+					for (var n = 0; n < count; n++) {
+						var t = position + n * ratio;
+						var sum = 0;
+						for (var k = Math.ceil(t - halfWidth); k <= t + halfWidth; k++) {
+							var x = Math.abs(t - k) * RESAMPLER_RESOLUTION;
+							var j = x | 0;
+							sum += buffer[k] * (table[j] + (table[j + 1] - table[j]) * (x - j));
+						}
+						output[n] = sum;
+					}
+					position += count * ratio;
+					// drop the samples that aren't needed anymore
+					var drop = Math.floor(position - halfWidth);
+					if (drop > 0) {
+						buffer = buffer.slice(drop);
+						position -= drop;
+					}
+					return output;
+				};
+
+				return {
+					process: function process(input) {
+						buffer = concatBuffers(buffer, input);
+						return run(buffer.length - halfWidth);
+					},
+					flush: function flush() {
+						var end = buffer.length;
+						buffer = concatBuffers(buffer, new Float32Array(halfWidth + 1));
+						return run(end);
+					}
+				};
+			}
+
+			function concatBuffers(a, b) {
+				var result = new Float32Array(a.length + b.length);
+				result.set(a, 0);
+				result.set(b, a.length);
+				return result;
 			}
 
 			function clear() {
@@ -166,9 +585,16 @@ var Recorder = exports.Recorder = (function () {
 			}
 
 			function initBuffers() {
-				for (var channel = 0; channel < numChannels; channel++) {
+				for (var channel = 0; channel < inputChannels; channel++) {
 					recBuffers[channel] = [];
 				}
+				streamBuffers = [];
+				for (var channel = 0; channel < numChannels; channel++) {
+					streamBuffers[channel] = [];
+				}
+				streamLength = 0;
+				resamplers = [];
+				imaStates = undefined;
 			}
 
 			function mergeBuffers(recBuffers, recLength) {
@@ -230,7 +656,7 @@ var Recorder = exports.Recorder = (function () {
 				/* sample rate */
 				view.setUint32(24, sampleRate, true);
 				/* byte rate (sample rate * block align) */
-				view.setUint32(28, sampleRate * 4, true);
+				view.setUint32(28, sampleRate * numChannels * 2, true);
 				/* block align (channel count * bytes per sample) */
 				view.setUint16(32, numChannels * 2, true);
 				/* bits per sample */
@@ -250,19 +676,62 @@ var Recorder = exports.Recorder = (function () {
 			command: 'init',
 			config: {
 				sampleRate: this.context.sampleRate,
-				numChannels: this.config.numChannels
+				inputChannels: this.inputChannels,
+				targetSampleRate: this.config.targetSampleRate,
+				numChannels: this.config.numChannels,
+				encoding: this.config.encoding,
+				chunkDuration: this.config.chunkDuration
 			}
 		});
 
 		this.worker.onmessage = function (e) {
-			var cb = _this.callbacks[e.data.command].pop();
-			if (typeof cb == 'function') {
-				cb(e.data.data);
+			if (e.data.command == 'chunk') {
+				if (_this.config.onchunk) _this.config.onchunk(e.data.data);
+				return;
+			}
+			var request = _this.requests[e.data.id];
+			if (!request) return;
+			delete _this.requests[e.data.id];
+			if (e.data.error) {
+				request.reject(new Error(e.data.error));
+			} else {
+				request.resolve(e.data.data);
 			}
 		};
 	}
 
 	_createClass(Recorder, [{
+		key: 'createScriptProcessor',
+		value: function createScriptProcessor() {
+			var _this = this;
+
+			this.node = (this.context.createScriptProcessor || this.context.createJavaScriptNode).call(this.context, this.config.bufferLen, this.inputChannels, this.inputChannels);
+			this.node.onaudioprocess = function (e) {
+				var buffer = [];
+				for (var channel = 0; channel < _this.inputChannels; channel++) {
+					buffer.push(e.inputBuffer.getChannelData(channel));
+				}
+				_this.onBuffer(buffer);
+			};
+			this.connectNode();
+		}
+	}, {
+		key: 'connectNode',
+		value: function connectNode() {
+			this.source.connect(this.node);
+			this.node.connect(this.sink);
+		}
+	}, {
+		key: 'onBuffer',
+		value: function onBuffer(buffer) {
+			if (!this.recording) return;
+
+			this.worker.postMessage({
+				command: 'record',
+				buffer: buffer
+			});
+		}
+	}, {
 		key: 'record',
 		value: function record() {
 			this.recording = true;
@@ -272,48 +741,83 @@ var Recorder = exports.Recorder = (function () {
 		value: function stop() {
 			this.recording = false;
 		}
+	}, {
+		key: 'request',
+
+		// sends a command to the worker, returns a Promise that resolves with the answer,
+		// the optional callback is called with it as well. Without a handler for the returned
+		// Promise, errors surface as unhandled rejections, so callback users still see them.
+		value: function request(command, message, cb) {
+			var _this = this;
+
+			if (this.disposed) return Promise.reject(new Error('Recorder was disposed'));
+
+			var id = ++this.requestId;
+			var promise = new Promise(function (resolve, reject) {
+				_this.requests[id] = { resolve: resolve, reject: reject };
+			});
+			this.worker.postMessage(Object.assign({ command: command, id: id }, message));
+			if (typeof cb == 'function') {
+				return promise.then(function (data) {
+					cb(data);
+					return data;
+				});
+			}
+			return promise;
+		}
+	}, {
+		key: 'flush',
+
+		// with chunkDuration set, encodes the remaining audio and passes it to onchunk,
+		// the Promise resolves after the last chunk was passed
+		value: function flush(cb) {
+			return this.request('flush', {}, cb);
+		}
 	}, {
 		key: 'clear',
 		value: function clear() {
-			this.worker.postMessage({ command: 'clear' });
+			return this.request('clear', {});
 		}
 	}, {
 		key: 'getBuffer',
 		value: function getBuffer(cb) {
-			cb = cb || this.config.callback;
-			if (!cb) throw new Error('Callback not set');
-
-			this.callbacks.getBuffer.push(cb);
-
-			this.worker.postMessage({ command: 'getBuffer' });
+			return this.request('getBuffer', {}, cb || this.config.callback);
 		}
 	}, {
 		key: 'exportRaw',
 		value: function exportRaw(cb, mimeType) {
-			mimeType = mimeType || this.config.mimeType;
-			cb = cb || this.config.callback;
-			if (!cb) throw new Error('Callback not set');
-
-			this.callbacks.exportRaw.push(cb);
-
-			this.worker.postMessage({
-				command: 'exportRaw',
-				type: mimeType
-			});
+			return this.request('exportRaw', { type: mimeType || this.config.mimeType }, cb || this.config.callback);
 		}
 	}, {
 		key: 'exportWAV',
 		value: function exportWAV(cb, mimeType) {
-			mimeType = mimeType || this.config.mimeType;
-			cb = cb || this.config.callback;
-			if (!cb) throw new Error('Callback not set');
-
-			this.callbacks.exportWAV.push(cb);
+			return this.request('exportWAV', { type: mimeType || this.config.mimeType }, cb || this.config.callback);
+		}
+	}, {
+		key: 'dispose',
 
-			this.worker.postMessage({
-				command: 'exportWAV',
-				type: mimeType
-			});
+		// stops recording, disconnects the audio nodes and terminates the worker,
+		// pending requests are rejected
+		value: function dispose() {
+			if (this.disposed) return;
+			this.disposed = true;
+			this.recording = false;
+			if (this.node) {
+				this.source.disconnect(this.node);
+				this.node.disconnect();
+				if (typeof AudioWorkletNode != 'undefined' && this.node instanceof AudioWorkletNode) {
+					this.node.port.onmessage = null;
+					this.node.port.close();
+				} else {
+					this.node.onaudioprocess = null;
+				}
+			}
+			this.sink.disconnect();
+			if (this.worker.terminate) this.worker.terminate();
+			for (var id in this.requests) {
+				this.requests[id].reject(new Error('Recorder was disposed'));
+			}
+			this.requests = {};
 		}
 	}], [{
 		key: 'forceDownload',
@@ -0,0 +1,610 @@
+/**
+ * RecordingStore
+ *
+ * @file Saves the recordings of a CamRecorder (and optionally the data of the running
+ * recording) to IndexedDB, recovers recordings that were interrupted by closing or reloading
+ * the page, and keeps a persistent upload queue that is retried when the browser is online.
+ * @version 0.1
+ * @class
+ * @requires camrecorder.js
+ * @requires mjpegaudio.js and mjpegreader.js (for recovering AVI recordings only)
+ *
+ * -- MIT License
+ *
+ * Copyright (c) 2020 Valentin Schmidt
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit
+ * persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR
+ * PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE
+ * FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+'use strict';
+
+(function(root) {
+
+	var DB_VERSION = 1;
+
+	// the running session is marked as live in this interval, so other tabs don't recover it
+	var HEARTBEAT_INTERVAL = 10000;
+
+	/**
+	 * @param {IDBRequest} request
+	 * @returns {Promise} resolves with the result of the request
+	 */
+	var promisify = function(request){
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	};
+
+	/**
+	 * @returns {string} a unique id, sortable by creation time
+	 */
+	var createId = function(){
+		return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+	};
+
+	/**
+	 * @param {Blob} blob
+	 * @returns {Promise} resolves with the content as ArrayBuffer
+	 */
+	var readBlob = function(blob){
+		if (blob.arrayBuffer) return blob.arrayBuffer();
+		return new Promise((resolve, reject) => {
+			var fr = new FileReader();
+			fr.onload = () => resolve(fr.result);
+			fr.onerror = () => reject(fr.error);
+			fr.readAsArrayBuffer(blob);
+		});
+	};
+
+	/**
+	 * Joins the WAVs created by CamRecorder in timeslice mode (16-bit PCM, 44 byte headers)
+	 * @param {Blob[]} chunks
+	 * @returns {Promise} resolves with the WAV blob
+	 */
+	var joinWAV = function(chunks){
+		return readBlob(chunks[0].slice(0, 44)).then((buffer) => {
+			var size = chunks.reduce((sum, chunk) => sum + chunk.size - 44, 0);
+			var view = new DataView(buffer);
+			view.setUint32(4, 36 + size, true);
+			view.setUint32(40, size, true);
+			return new Blob([buffer].concat(chunks.map((chunk) => chunk.slice(44))), {type: 'audio/wav'});
+		});
+	};
+
+	/**
+	 * Joins the AVIs created by CamRecorder in timeslice mode into a single AVI
+	 * @param {Blob[]} chunks
+	 * @returns {Promise} resolves with the AVI blob
+	 */
+	var joinAVI = function(chunks){
+		return Promise.all(chunks.map((chunk) => MJPEGReader.read(chunk))).then((readers) => {
+			var mjpeg = new MJPEGBuilder();
+			var video = readers[0].getVideoStream();
+			mjpeg.setup(video.format.width, video.format.height, video.header.rate / video.header.scale);
+			var offset = 0;
+			readers.forEach((reader) => {
+				reader.getFrames().forEach((frame) => mjpeg.addFrame(frame.blob, offset + frame.timestamp));
+				var audio = reader.getAudio();
+				if (audio) {
+					var format = audio.format;
+					mjpeg.addAudioChunk(audio.blob, format.numChannels, format.sampleRate, {
+						formatTag: format.formatTag,
+						bitsPerSample: format.bitsPerSample,
+						blockAlign: format.blockAlign,
+						// IMA ADPCM stores the samples per block in the format extension
+						samplesPerBlock: format.formatTag == 0x11 ? format.extra[0] | (format.extra[1] << 8) : 1
+					});
+				}
+				// batches with audio end with their audio chunk
+				offset += audio ? audio.duration : reader.getDuration();
+			});
+			return mjpeg.finish();
+		});
+	};
+
+	/**
+	 * Joins the data of an interrupted recording
+	 * @param {Blob[]} chunks - in recording order
+	 * @param {string} container - the CamRecorder's video container
+	 * @returns {Promise} resolves with the blob
+	 */
+	var joinChunks = function(chunks, container){
+		// MediaRecorder's chunks are parts of a single file, the fallback's are complete files
+		if (container == 'wav') return joinWAV(chunks);
+		if (container == 'avi') return joinAVI(chunks);
+		return Promise.resolve(new Blob(chunks, {type: chunks[0].type}));
+	};
+
+	/**
+	 * Storage layer around a CamRecorder. The object stores are "recordings"
+	 * ({id, blob, container, size, duration, createdAt, recovered, metadata}), "sessions" (the
+	 * running recordings), "chunks" (their data) and "uploads" (the upload queue).
+	 * @constructor
+	 * @param {CamRecorder} camRecorder
+	 * @param {object} [options]
+	 * @param {string} [options.dbName='camrecorder'] - name of the IndexedDB database
+	 * @param {boolean} [options.autoSave=true] - saves each finished recording
+	 * @param {boolean} [options.saveChunks=false] - saves the data of the running recording, so it can
+	 * be recovered after the page was closed. Requires the CamRecorder's timeslice option.
+	 * @param {object|function} [options.metadata] - saved with each recording, a function is called
+	 * with the blob and returns the metadata
+	 * @param {number[]} [options.retryDelays=[5000, 30000, 120000, 600000]] - delays in ms between the
+	 * attempts of a queued upload, the last one is repeated. Uploads are also retried when the browser
+	 * goes online.
+	 * @param {boolean} [options.deleteAfterUpload=false] - deletes recordings after they were uploaded
+	 * @param {function} [options.onsave] - called with the saved recording
+	 * @param {function} [options.onupload] - called with (task, response) when a queued upload succeeded
+	 * @param {function} [options.onuploaderror] - called with (task, error) after a failed attempt,
+	 * task.status is 'failed' if the upload is not retried
+	 * @param {function} [options.onerror] - called with a CamRecorderError (ErrorCode.STORAGE_FAILED)
+	 * if saving or recovering in the background failed, or processing the upload queue failed
+	 * @param {number} [options.sessionTimeout=60000] - sessions that weren't marked as live for this
+	 * time (in ms) are considered interrupted, sessions of recordings running in other tabs are
+	 * recovered only after that
+	 */
+	var RecordingStore = function(camRecorder, options){
+		this._camRecorder = camRecorder;
+		this._options = Object.assign({
+			dbName: 'camrecorder',
+			autoSave: true,
+			saveChunks: false,
+			metadata: {},
+			retryDelays: [5000, 30000, 120000, 600000],
+			deleteAfterUpload: false,
+			sessionTimeout: 60000
+		}, options);
+		this._db = null;
+		this._session = null;
+		this._chunkIndex = 0;
+		this._heartbeatTimer = null;
+		this._recoverTimer = null;
+		// chunk writes and finishing a session run in order
+		this._writes = Promise.resolve();
+		this._processing = null;
+		this._retryTimer = null;
+
+		this._listeners = {
+			start: () => this._startSession(),
+			dataavailable: (e) => this._saveChunk(e.detail.data),
+			stop: (e) => this._finishSession(e.detail.blob)
+		};
+		for (var type in this._listeners) camRecorder.addEventListener(type, this._listeners[type]);
+		this._ononline = () => this.processUploads();
+		window.addEventListener('online', this._ononline);
+	};
+
+	/**
+	 * Opens the database, recovers interrupted recordings and starts processing the upload queue
+	 * @returns {Promise} resolves with the recovered recordings
+	 */
+	RecordingStore.prototype.init = function(){
+		return this._open().then(() => this.recover()).then((recovered) => {
+			this.processUploads();
+			return recovered;
+		});
+	};
+
+	/**
+	 * @private
+	 * @returns {Promise} resolves with the IDBDatabase
+	 */
+	RecordingStore.prototype._open = function(){
+		if (this._db) return this._db;
+		if (!window.indexedDB) return Promise.reject(new CamRecorderError(CamRecorder.ErrorCode.UNSUPPORTED, 'IndexedDB isn\'t available'));
+		var request = indexedDB.open(this._options.dbName, DB_VERSION);
+		request.onupgradeneeded = () => {
+			var db = request.result;
+			db.createObjectStore('recordings', {keyPath: 'id'});
+			db.createObjectStore('sessions', {keyPath: 'id'});
+			db.createObjectStore('chunks', {keyPath: ['sessionId', 'index']});
+			db.createObjectStore('uploads', {keyPath: 'id', autoIncrement: true});
+		};
+		this._db = promisify(request);
+		this._db.catch(() => {
+			this._db = null;
+		});
+		return this._db;
+	};
+
+	/**
+	 * Runs fn in a transaction
+	 * @private
+	 * @param {string|string[]} storeNames
+	 * @param {string} mode - 'readonly' or 'readwrite'
+	 * @param {function} fn - called with the object stores, returns an IDBRequest, a value or nothing
+	 * @returns {Promise} resolves with the result when the transaction completed
+	 */
+	RecordingStore.prototype._transaction = function(storeNames, mode, fn){
+		return this._open().then((db) => new Promise((resolve, reject) => {
+			var tx = db.transaction(storeNames, mode);
+			var result = fn.apply(null, [].concat(storeNames).map((name) => tx.objectStore(name)));
+			tx.oncomplete = () => resolve(result && result.readyState ? result.result : result);
+			tx.onerror = tx.onabort = () => reject(tx.error);
+		}));
+	};
+
+	/**
+	 * Reports an error of a background operation to options.onerror
+	 * @private
+	 * @param {string} message
+	 * @param {object} cause
+	 */
+	RecordingStore.prototype._reportError = function(message, cause){
+		var error = new CamRecorderError(CamRecorder.ErrorCode.STORAGE_FAILED, message, cause);
+		if (this._options.onerror) this._options.onerror(error);
+	};
+
+	/**
+	 * @private
+	 */
+	RecordingStore.prototype._startSession = function(){
+		if (!this._options.saveChunks) return;
+		this._chunkIndex = 0;
+		var metadata = this._options.metadata;
+		this._session = {
+			id: createId(),
+			container: this._camRecorder.getVideoContainer(),
+			createdAt: Date.now(),
+			updatedAt: Date.now(),
+			// a metadata function needs the blob, so it's called when the session is recovered
+			metadata: typeof metadata == 'function' ? undefined : metadata
+		};
+		this._saveSession();
+		this._heartbeatTimer = setInterval(() => this._saveSession(), HEARTBEAT_INTERVAL);
+	};
+
+	/**
+	 * Saves the running session with the current time as updatedAt, which marks it as live
+	 * @private
+	 */
+	RecordingStore.prototype._saveSession = function(){
+		if (!this._session) return;
+		this._session.updatedAt = Date.now();
+		var session = Object.assign({}, this._session);
+		this._writes = this._writes.then(() => this._transaction('sessions', 'readwrite', (sessions) => {
+			sessions.put(session);
+		})).catch((e) => this._reportError('Saving the session failed', e));
+	};
+
+	/**
+	 * @private
+	 * @param {Blob} blob
+	 */
+	RecordingStore.prototype._saveChunk = function(blob){
+		if (!this._session || !blob || !blob.size) return;
+		var chunk = {sessionId: this._session.id, index: this._chunkIndex++, blob: blob};
+		// timers of background tabs are throttled, the chunks mark the session as live as well
+		this._session.updatedAt = Date.now();
+		var session = Object.assign({}, this._session);
+		this._writes = this._writes.then(() => this._transaction(['sessions', 'chunks'], 'readwrite', (sessions, chunks) => {
+			sessions.put(session);
+			chunks.put(chunk);
+		})).catch((e) => this._reportError('Saving a chunk failed', e));
+	};
+
+	/**
+	 * Saves the recording and removes the data of the session
+	 * @private
+	 * @param {Blob} blob
+	 */
+	RecordingStore.prototype._finishSession = function(blob){
+		var sessionId = this._session ? this._session.id : null;
+		this._session = null;
+		clearInterval(this._heartbeatTimer);
+		var duration = this._camRecorder.getElapsedTime();
+		this._writes = this._writes.then(() => {
+			if (!this._options.autoSave) return;
+			return this.save(blob, {duration: duration, id: sessionId || undefined});
+		}).then(() => {
+			if (sessionId) return this._deleteSession(sessionId);
+		}).catch((e) => this._reportError('Saving the recording failed', e));
+	};
+
+	/**
+	 * @private
+	 * @param {string} sessionId
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype._deleteSession = function(sessionId){
+		return this._transaction(['sessions', 'chunks'], 'readwrite', (sessions, chunks) => {
+			sessions.delete(sessionId);
+			chunks.delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+		});
+	};
+
+	/**
+	 * Saves a recording
+	 * @param {Blob} blob
+	 * @param {object} [info]
+	 * @param {string} [info.id] - default is a new id
+	 * @param {number} [info.duration] - in ms
+	 * @param {object} [info.metadata] - default is options.metadata
+	 * @returns {Promise} resolves with the saved recording
+	 */
+	RecordingStore.prototype.save = function(blob, info){
+		info = info || {};
+		var metadata = info.metadata || this._options.metadata;
+		var recording = {
+			id: info.id || createId(),
+			blob: blob,
+			container: info.container || this._camRecorder.getVideoContainer(),
+			size: blob.size,
+			duration: info.duration || 0,
+			createdAt: Date.now(),
+			recovered: !!info.recovered,
+			metadata: typeof metadata == 'function' ? metadata(blob) : metadata
+		};
+		return this._transaction('recordings', 'readwrite', (recordings) => {
+			recordings.put(recording);
+		}).then(() => {
+			if (this._options.onsave) this._options.onsave(recording);
+			return recording;
+		});
+	};
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise} resolves with the recording, or undefined if it doesn't exist
+	 */
+	RecordingStore.prototype.get = function(id){
+		return this._transaction('recordings', 'readonly', (recordings) => recordings.get(id));
+	};
+
+	/**
+	 * @returns {Promise} resolves with all saved recordings, oldest first
+	 */
+	RecordingStore.prototype.list = function(){
+		return this._transaction('recordings', 'readonly', (recordings) => recordings.getAll()).then((list) => {
+			return list.sort((a, b) => a.createdAt - b.createdAt);
+		});
+	};
+
+	/**
+	 * Deletes a recording and its queued uploads
+	 * @param {string} id
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype.delete = function(id){
+		return this.getUploadQueue().then((tasks) => this._transaction(['recordings', 'uploads'], 'readwrite', (recordings, uploads) => {
+			recordings.delete(id);
+			tasks.forEach((task) => {
+				if (task.recordingId == id) uploads.delete(task.id);
+			});
+		}));
+	};
+
+	/**
+	 * Saves the data of interrupted sessions (see options.saveChunks) as recordings and
+	 * removes the sessions. Sessions that are still live (e.g. recording in another tab) are
+	 * skipped and checked again when they would time out. Called by init().
+	 * @returns {Promise} resolves with the recovered recordings. A recording that couldn't be
+	 * recovered is reported to options.onerror, its session is kept and marked as failed, see
+	 * getFailedSessions().
+	 */
+	RecordingStore.prototype.recover = function(){
+		clearTimeout(this._recoverTimer);
+		return this._transaction('sessions', 'readonly', (sessions) => sessions.getAll()).then((list) => {
+			list = list.filter((session) => !session.failed);
+			var recovered = [];
+			var now = Date.now();
+			var timeout = this._options.sessionTimeout;
+			var own = this._session ? this._session.id : null;
+			var live = list.filter((session) => session.id != own && now - (session.updatedAt || 0) < timeout);
+			if (live.length && !this._closed){
+				var next = Math.min.apply(null, live.map((session) => session.updatedAt + timeout));
+				this._recoverTimer = setTimeout(() => {
+					this.recover().catch((e) => this._reportError('Recovering the recordings failed', e));
+				}, next - now);
+			}
+			return list.filter((session) => session.id != own && live.indexOf(session) < 0).reduce((done, session) => done.then(() => {
+				var range = IDBKeyRange.bound([session.id, 0], [session.id, Infinity]);
+				return this._transaction('chunks', 'readonly', (chunks) => chunks.getAll(range)).then((chunks) => {
+					if (!chunks.length) return;
+					return joinChunks(chunks.map((chunk) => chunk.blob), session.container).then((blob) => {
+						return this.save(blob, {id: session.id, container: session.container, metadata: session.metadata, recovered: true});
+					}).then((recording) => {
+						recovered.push(recording);
+					});
+				}).then(() => this._deleteSession(session.id), (e) => {
+					// the data is kept, but not recovered again
+					this._reportError('Recovering the recording ' + session.id + ' failed', e);
+					session.failed = true;
+					session.error = String(e && e.message || e);
+					return this._transaction('sessions', 'readwrite', (sessions) => {
+						sessions.put(session);
+					}).catch((e) => this._reportError('Saving the session failed', e));
+				});
+			}), Promise.resolve()).then(() => recovered);
+		});
+	};
+
+	/**
+	 * Sessions that couldn't be recovered, e.g. because the data of the last chunk is incomplete
+	 * @returns {Promise} resolves with the sessions {id, container, createdAt, error, chunks},
+	 * chunks are the saved blobs in recording order
+	 */
+	RecordingStore.prototype.getFailedSessions = function(){
+		return this._transaction(['sessions', 'chunks'], 'readonly', (sessions, chunks) => {
+			var failed = [];
+			sessions.getAll().onsuccess = (e) => {
+				e.target.result.filter((session) => session.failed).forEach((session) => {
+					var range = IDBKeyRange.bound([session.id, 0], [session.id, Infinity]);
+					chunks.getAll(range).onsuccess = (e) => {
+						failed.push({
+							id: session.id,
+							container: session.container,
+							createdAt: session.createdAt,
+							error: session.error,
+							chunks: e.target.result.map((chunk) => chunk.blob)
+						});
+					};
+				});
+			};
+			return failed;
+		}).then((failed) => failed.sort((a, b) => a.createdAt - b.createdAt));
+	};
+
+	/**
+	 * Deletes a failed session and its data
+	 * @param {string} id
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype.deleteFailedSession = function(id){
+		return this._deleteSession(id);
+	};
+
+	/**
+	 * Adds an upload of a saved recording to the queue and starts processing the queue.
+	 * The options are saved in the database, so callbacks and signals aren't supported.
+	 * @param {string} id - of the recording
+	 * @param {string} url
+	 * @param {object} [options] - options of CamRecorder.upload, or of CamRecorder.uploadResumable
+	 * @param {boolean} [options.resumable=false] - upload with uploadResumable (tus)
+	 * @returns {Promise} resolves with the upload task {id, recordingId, url, options, status, attempts, createdAt}
+	 */
+	RecordingStore.prototype.enqueueUpload = function(id, url, options){
+		// only keeps what can be stored
+		options = JSON.parse(JSON.stringify(Object.assign({}, options, {signal: undefined, blob: undefined})));
+		var task = {
+			recordingId: id,
+			url: url,
+			options: options,
+			status: 'pending',
+			attempts: 0,
+			nextAttempt: 0,
+			createdAt: Date.now()
+		};
+		return this._transaction('uploads', 'readwrite', (uploads) => uploads.add(task)).then((taskId) => {
+			task.id = taskId;
+			this.processUploads();
+			return task;
+		});
+	};
+
+	/**
+	 * @returns {Promise} resolves with the queued (pending and failed) uploads
+	 */
+	RecordingStore.prototype.getUploadQueue = function(){
+		return this._transaction('uploads', 'readonly', (uploads) => uploads.getAll());
+	};
+
+	/**
+	 * Removes an upload from the queue
+	 * @param {number} taskId
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype.cancelUpload = function(taskId){
+		return this._transaction('uploads', 'readwrite', (uploads) => {
+			uploads.delete(taskId);
+		});
+	};
+
+	/**
+	 * Uploads the pending uploads that are due, one after the other. Called automatically
+	 * after init(), enqueueUpload(), when the browser goes online and when a retry is due.
+	 * @returns {Promise} resolves when the queue was processed
+	 */
+	RecordingStore.prototype.processUploads = function(){
+		if (this._processing) return this._processing;
+		if (navigator.onLine === false) return Promise.resolve();
+		clearTimeout(this._retryTimer);
+		this._processing = this.getUploadQueue().then((tasks) => {
+			var now = Date.now();
+			return tasks.filter((task) => task.status == 'pending' && task.nextAttempt <= now).reduce((done, task) => {
+				return done.then(() => this._upload(task));
+			}, Promise.resolve());
+		}).then(() => this._scheduleRetry()).catch((e) => {
+			this._reportError('Processing the upload queue failed', e);
+		}).then(() => {
+			this._processing = null;
+		});
+		return this._processing;
+	};
+
+	/**
+	 * @private
+	 * @param {object} task
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype._upload = function(task){
+		if (navigator.onLine === false) return Promise.resolve();
+		return this.get(task.recordingId).then((recording) => {
+			if (!recording) return this.cancelUpload(task.id);
+			var options = Object.assign({}, task.options, {blob: recording.blob});
+			var upload = task.options.resumable ?
+				this._camRecorder.uploadResumable(task.url, options) :
+				this._camRecorder.upload(task.url, options);
+			return upload.then((response) => {
+				return this.cancelUpload(task.id).then(() => {
+					if (this._options.deleteAfterUpload) return this.delete(recording.id);
+				}).then(() => {
+					if (this._options.onupload) this._options.onupload(task, response);
+				});
+			}, (e) => {
+				task.attempts++;
+				// client errors (except timeouts and rate limits) won't go away by retrying
+				var status = e.status || 0;
+				var permanent = status >= 400 && status < 500 && status != 408 && status != 429;
+				var delays = this._options.retryDelays;
+				task.status = permanent || !delays.length ? 'failed' : 'pending';
+				task.nextAttempt = Date.now() + (delays[Math.min(task.attempts, delays.length) - 1] || 0);
+				task.error = e.message;
+				return this._transaction('uploads', 'readwrite', (uploads) => {
+					uploads.put(task);
+				}).then(() => {
+					if (this._options.onuploaderror) this._options.onuploaderror(task, e);
+				});
+			});
+		});
+	};
+
+	/**
+	 * Sets a timer for the next pending upload
+	 * @private
+	 * @returns {Promise}
+	 */
+	RecordingStore.prototype._scheduleRetry = function(){
+		return this.getUploadQueue().then((tasks) => {
+			var next = tasks.filter((task) => task.status == 'pending').reduce((min, task) => Math.min(min, task.nextAttempt), Infinity);
+			if (next == Infinity || this._closed) return;
+			this._retryTimer = setTimeout(() => this.processUploads(), Math.max(0, next - Date.now()));
+		});
+	};
+
+	/**
+	 * Removes the listeners, stops retrying and closes the database
+	 * @returns {Promise} resolves when pending writes are done
+	 */
+	RecordingStore.prototype.close = function(){
+		this._closed = true;
+		clearTimeout(this._retryTimer);
+		clearTimeout(this._recoverTimer);
+		clearInterval(this._heartbeatTimer);
+		for (var type in this._listeners) this._camRecorder.removeEventListener(type, this._listeners[type]);
+		window.removeEventListener('online', this._ononline);
+		return this._writes.then(() => this._processing).then(() => {
+			if (this._db) return this._db.then((db) => db.close());
+		}).then(() => {
+			this._db = null;
+		});
+	};
+
+	// export
+	root.RecordingStore = RecordingStore;
+
+})(window);
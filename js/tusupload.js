@@ -0,0 +1,247 @@
+/**
+ * Javascript Resumable Upload
+ *
+ * @file Uploads blobs in chunks with the tus resumable upload protocol (1.0.0, core protocol
+ * and creation extension, see https://tus.io/protocols/resumable-upload). After a failed
+ * request the upload offset is queried from the server and the upload continues from there.
+ * A minimal server for testing is in server/tus-server.js.
+ * @version 0.1
+ *
+ * -- MIT License
+ *
+ * Copyright (c) 2020 Valentin Schmidt
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit
+ * persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR
+ * PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE
+ * FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+'use strict';
+
+(function(aGlobal) {
+
+	var TUS_VERSION = '1.0.0';
+	var STORAGE_PREFIX = 'tus::';
+
+	/**
+	 * @constructor
+	 * @param {Blob} blob
+	 * @param {string} endpoint - URL the upload is created at
+	 * @param {object} [options]
+	 * @param {number} [options.chunkSize=5242880] - maximum size of a PATCH request in bytes
+	 * @param {object} [options.metadata] - string values sent as Upload-Metadata, e.g. {filename, filetype}
+	 * @param {object} [options.headers] - additional request headers, e.g. {Authorization: 'Bearer ...'}
+	 * @param {string} [options.credentials='same-origin'] - credentials mode of the requests
+	 * @param {number[]} [options.retryDelays=[0, 1000, 3000, 5000, 10000]] - delays in ms before
+	 * the retries of a failed request, the upload fails after the last one
+	 * @param {string} [options.uploadUrl] - URL of an existing upload to resume instead of creating one
+	 * @param {string} [options.fingerprint] - if set, the upload URL is stored in localStorage
+	 * under this key until the upload is complete, so it can be resumed after a page reload
+	 * @param {AbortSignal} [options.signal] - aborts the upload
+	 * @param {function} [options.onprogress] - called with (bytesUploaded, bytesTotal)
+	 */
+	function TusUpload(blob, endpoint, options) {
+		this.blob = blob;
+		this.endpoint = endpoint;
+		this.options = Object.assign({
+			chunkSize: 5242880,
+			metadata: {},
+			headers: {},
+			credentials: 'same-origin',
+			retryDelays: [0, 1000, 3000, 5000, 10000]
+		}, options);
+		this.uploadUrl = this.options.uploadUrl || TusUpload.getStoredUrl(this.options.fingerprint);
+		this.bytesUploaded = 0;
+
+		this._retries = 0;
+		this._controller = typeof AbortController != 'undefined' ? new AbortController() : null;
+		if (this.options.signal && this._controller) {
+			if (this.options.signal.aborted) this._controller.abort();
+			else this.options.signal.addEventListener('abort', () => this._controller.abort());
+		}
+	}
+
+	TusUpload.prototype = {
+		/**
+		 * @returns {Promise} resolves with the upload URL when all bytes were uploaded
+		 */
+		start: function() {
+			this._retries = 0;
+			return this._run();
+		},
+
+		/**
+		 * Aborts the running request, the upload can be resumed later with its uploadUrl
+		 */
+		abort: function() {
+			if (this._controller) this._controller.abort();
+		},
+
+		_run: function() {
+			return this._getOffset().then((offset) => {
+				return this._uploadFrom(offset);
+			}).catch((e) => {
+				if (!this._shouldRetry(e)) throw e;
+				var delay = this.options.retryDelays[this._retries++];
+				return wait(delay, this._controller && this._controller.signal).then(() => this._run());
+			});
+		},
+
+		// creates the upload, or asks the server how much of an existing upload it has received
+		_getOffset: function() {
+			if (!this.uploadUrl) return this._create();
+			return this._request('HEAD', this.uploadUrl).then((response) => {
+				if (response.status == 404 || response.status == 410) {
+					// the upload is gone (expired or deleted), start over
+					this._forget();
+					return this._create();
+				}
+				checkStatus(response, 'querying the upload offset');
+				return getOffsetHeader(response);
+			});
+		},
+
+		_create: function() {
+			var headers = {'Upload-Length': this.blob.size};
+			var metadata = encodeMetadata(this.options.metadata);
+			if (metadata) headers['Upload-Metadata'] = metadata;
+			return this._request('POST', this.endpoint, headers).then((response) => {
+				checkStatus(response, 'creating the upload');
+				var location = response.headers.get('Location');
+				if (!location) throw createError('the server did not return the upload URL', response.status);
+				this.uploadUrl = new URL(location, new URL(this.endpoint, aGlobal.location && aGlobal.location.href)).href;
+				if (this.options.fingerprint) storeUrl(this.options.fingerprint, this.uploadUrl);
+				return 0;
+			});
+		},
+
+		_uploadFrom: function(offset) {
+			this.bytesUploaded = offset;
+			if (this.options.onprogress) this.options.onprogress(offset, this.blob.size);
+			if (offset >= this.blob.size) {
+				this._forget(true);
+				return Promise.resolve(this.uploadUrl);
+			}
+			var chunk = this.blob.slice(offset, offset + this.options.chunkSize);
+			return this._request('PATCH', this.uploadUrl, {
+				'Content-Type': 'application/offset+octet-stream',
+				'Upload-Offset': offset
+			}, chunk).then((response) => {
+				checkStatus(response, 'uploading');
+				var newOffset = getOffsetHeader(response);
+				if (newOffset <= offset) throw createError('the server did not accept any data', response.status);
+				// the request went through, so the retries start over
+				this._retries = 0;
+				return this._uploadFrom(newOffset);
+			});
+		},
+
+		_request: function(method, url, headers, body) {
+			return fetch(url, {
+				method: method,
+				headers: Object.assign({'Tus-Resumable': TUS_VERSION}, this.options.headers, headers),
+				body: body,
+				credentials: this.options.credentials,
+				cache: 'no-store',
+				signal: this._controller ? this._controller.signal : undefined
+			});
+		},
+
+		// network errors, server errors, locked uploads (423) and offset conflicts (409) are retried
+		_shouldRetry: function(e) {
+			if (e.name == 'AbortError' || this._retries >= this.options.retryDelays.length) return false;
+			if (aGlobal.navigator && aGlobal.navigator.onLine === false) return true;
+			return !e.status || e.status >= 500 || e.status == 409 || e.status == 423;
+		},
+
+		// keeps the upload URL for resuming unless complete
+		_forget: function(complete) {
+			if (!complete) this.uploadUrl = null;
+			if (this.options.fingerprint) removeStoredUrl(this.options.fingerprint);
+		}
+	};
+
+	/**
+	 * @param {string} [fingerprint]
+	 * @returns {string|null} the URL of an unfinished upload stored with the fingerprint
+	 */
+	TusUpload.getStoredUrl = function(fingerprint) {
+		if (!fingerprint) return null;
+		try {
+			return aGlobal.localStorage.getItem(STORAGE_PREFIX + fingerprint);
+		} catch (e) {
+			return null;
+		}
+	};
+
+	function storeUrl(fingerprint, url) {
+		try {
+			aGlobal.localStorage.setItem(STORAGE_PREFIX + fingerprint, url);
+		} catch (e) {} // private mode, quota exceeded etc.
+	}
+
+	function removeStoredUrl(fingerprint) {
+		try {
+			aGlobal.localStorage.removeItem(STORAGE_PREFIX + fingerprint);
+		} catch (e) {}
+	}
+
+	// comma separated "key base64(value)" pairs, values are UTF-8 encoded
+	function encodeMetadata(metadata) {
+		return Object.keys(metadata).filter((key) => metadata[key] != null).map((key) => {
+			return key + ' ' + btoa(unescape(encodeURIComponent(String(metadata[key]))));
+		}).join(',');
+	}
+
+	function getOffsetHeader(response) {
+		var offset = parseInt(response.headers.get('Upload-Offset'), 10);
+		if (isNaN(offset)) throw createError('the server did not return the upload offset', response.status);
+		return offset;
+	}
+
+	function checkStatus(response, action) {
+		if (response.status < 200 || response.status >= 300) {
+			throw createError(action + ' failed with HTTP status ' + response.status, response.status);
+		}
+	}
+
+	function createError(message, status) {
+		var e = new Error('TusUpload: ' + message);
+		e.status = status;
+		return e;
+	}
+
+	// resolves after delay ms, rejects with an AbortError if the signal is aborted meanwhile
+	function wait(delay, signal) {
+		return new Promise((resolve, reject) => {
+			var abort = () => {
+				clearTimeout(timer);
+				var e = new Error('TusUpload: the upload was aborted');
+				e.name = 'AbortError';
+				reject(e);
+			};
+			if (signal && signal.aborted) return abort();
+			var timer = setTimeout(() => {
+				if (signal) signal.removeEventListener('abort', abort);
+				resolve();
+			}, delay || 0);
+			if (signal) signal.addEventListener('abort', abort);
+		});
+	}
+
+	// export
+	aGlobal.TusUpload = TusUpload;
+
+})(window);
@@ -0,0 +1,217 @@
+/**
+ * Minimal tus server
+ *
+ * @file Reference server for TusUpload (js/tusupload.js), implements the tus resumable upload
+ * protocol 1.0.0 (core protocol and creation extension). Uploads are stored as files, their
+ * length and metadata in a JSON file next to them. Meant for local testing, not for production.
+ *
+ * Usage: node server/tus-server.js [port=1080] [directory]
+ *
+ * Set TUS_FAILURE_RATE (0-1) to drop that share of PATCH requests halfway through the body,
+ * to test resuming after network errors.
+ *
+ * -- MIT License
+ *
+ * Copyright (c) 2020 Valentin Schmidt
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit
+ * persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR
+ * PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE
+ * FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const TUS_VERSION = '1.0.0';
+
+const CORS_HEADERS = {
+	'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, OPTIONS',
+	'Access-Control-Allow-Headers': 'Authorization, Content-Type, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset',
+	'Access-Control-Expose-Headers': 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Length, Upload-Metadata, Upload-Offset',
+	'Access-Control-Max-Age': '86400'
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] - directory the uploads are stored in
+ * @param {string} [options.path='/files/'] - URL path of the upload endpoint
+ * @param {number} [options.maxSize=1073741824] - maximum upload size in bytes
+ * @param {number} [options.failureRate=0] - share of PATCH requests that are dropped halfway
+ * @param {function} [options.shouldFail] - called with the index of each PATCH request (counting
+ * from 0), returns true to drop it halfway. Replaces failureRate, for deterministic tests.
+ * @returns {http.Server}
+ */
+function createTusServer(options) {
+	options = Object.assign({
+		dir: path.join(os.tmpdir(), 'tus-uploads'),
+		path: '/files/',
+		maxSize: 1073741824,
+		failureRate: 0
+	}, options);
+	fs.mkdirSync(options.dir, {recursive: true});
+
+	// id => {length, metadata, offset, pending}, loaded from the JSON files on first access
+	const uploads = new Map();
+	let patchCount = 0;
+	const shouldFail = options.shouldFail || (() => Math.random() < options.failureRate);
+
+	const getUpload = (id) => {
+		if (!/^[0-9a-f]{32}$/.test(id)) return null;
+		if (uploads.has(id)) return uploads.get(id);
+		try {
+			const info = JSON.parse(fs.readFileSync(path.join(options.dir, id + '.json'), 'utf8'));
+			info.offset = fs.statSync(path.join(options.dir, id)).size;
+			info.pending = Promise.resolve();
+			uploads.set(id, info);
+			return info;
+		} catch (e) {
+			return null;
+		}
+	};
+
+	const create = (req, res) => {
+		const length = Number(req.headers['upload-length']);
+		if (!Number.isSafeInteger(length) || length < 0) return send(res, 400, 'Invalid Upload-Length');
+		if (length > options.maxSize) return send(res, 413, 'Upload too large');
+		const metadata = parseMetadata(req.headers['upload-metadata']);
+		if (!metadata) return send(res, 400, 'Invalid Upload-Metadata');
+
+		const id = crypto.randomBytes(16).toString('hex');
+		fs.writeFileSync(path.join(options.dir, id), '');
+		fs.writeFileSync(path.join(options.dir, id + '.json'), JSON.stringify({length: length, metadata: metadata}));
+		uploads.set(id, {length: length, metadata: metadata, offset: 0, pending: Promise.resolve()});
+		send(res, 201, '', {'Location': options.path + id});
+	};
+
+	const head = (req, res, upload) => {
+		upload.pending.then(() => {
+			const headers = {
+				'Upload-Offset': upload.offset,
+				'Upload-Length': upload.length,
+				'Cache-Control': 'no-store'
+			};
+			const metadata = encodeMetadata(upload.metadata);
+			if (metadata) headers['Upload-Metadata'] = metadata;
+			send(res, 200, '', headers);
+		});
+	};
+
+	const patch = (req, res, upload, id) => {
+		if (req.headers['content-type'] != 'application/offset+octet-stream') return send(res, 415, 'Invalid Content-Type');
+		upload.pending.then(() => {
+			if (Number(req.headers['upload-offset']) !== upload.offset) {
+				return send(res, 409, 'Upload-Offset does not match', {'Upload-Offset': upload.offset});
+			}
+			const contentLength = Number(req.headers['content-length']) || 0;
+			const fail = shouldFail(patchCount++);
+			// a dropped request stores exactly the first half of its body
+			const failAt = Math.floor(contentLength / 2);
+			const out = fs.createWriteStream(path.join(options.dir, id), {flags: 'a'});
+			let received = 0;
+			let tooLarge = false;
+
+			// other requests for this upload wait until the data received so far is written
+			upload.pending = new Promise((resolve) => out.on('close', resolve));
+
+			req.on('data', (data) => {
+				if (fail) data = data.subarray(0, failAt - received);
+				const remaining = upload.length - upload.offset;
+				if (data.length > remaining) {
+					tooLarge = true;
+					data = data.subarray(0, remaining);
+				}
+				out.write(data);
+				upload.offset += data.length;
+				received += data.length;
+				if (fail && received >= failAt) req.destroy();
+			});
+			req.on('end', () => {
+				out.end(() => {
+					if (tooLarge) return send(res, 400, 'Upload-Length exceeded', {'Upload-Offset': upload.offset});
+					send(res, 204, '', {'Upload-Offset': upload.offset});
+				});
+			});
+			req.on('close', () => {
+				if (!req.complete) out.end();
+			});
+		});
+	};
+
+	return http.createServer((req, res) => {
+		res.setHeader('Tus-Resumable', TUS_VERSION);
+		res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+		if (req.headers.origin) res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+		const url = req.url.split('?')[0];
+		if (!url.startsWith(options.path)) return send(res, 404, 'Not found');
+		const id = url.slice(options.path.length);
+
+		if (req.method == 'OPTIONS') {
+			return send(res, 204, '', Object.assign({
+				'Tus-Version': TUS_VERSION,
+				'Tus-Extension': 'creation',
+				'Tus-Max-Size': options.maxSize
+			}, CORS_HEADERS));
+		}
+		if (req.headers['tus-resumable'] != TUS_VERSION) {
+			return send(res, 412, 'Unsupported Tus-Resumable', {'Tus-Version': TUS_VERSION});
+		}
+		if (req.method == 'POST' && !id) return create(req, res);
+
+		const upload = getUpload(id);
+		if (!upload) return send(res, 404, 'Not found');
+		if (req.method == 'HEAD') return head(req, res, upload);
+		if (req.method == 'PATCH') return patch(req, res, upload, id);
+		send(res, 405, 'Method not allowed', {'Allow': 'POST, HEAD, PATCH, OPTIONS'});
+	});
+}
+
+function send(res, status, body, headers) {
+	if (res.headersSent || res.destroyed) return;
+	res.writeHead(status, Object.assign({'Content-Type': 'text/plain'}, headers));
+	res.end(body);
+}
+
+// "key base64value,key2 base64value2", returns null if malformed
+function parseMetadata(header) {
+	const metadata = {};
+	if (!header) return metadata;
+	for (const pair of header.split(',')) {
+		const parts = pair.trim().split(' ');
+		if (!parts[0] || parts.length > 2) return null;
+		metadata[parts[0]] = parts.length == 2 ? Buffer.from(parts[1], 'base64').toString('utf8') : '';
+	}
+	return metadata;
+}
+
+function encodeMetadata(metadata) {
+	return Object.keys(metadata).map((key) => key + ' ' + Buffer.from(metadata[key], 'utf8').toString('base64')).join(',');
+}
+
+module.exports = createTusServer;
+
+if (require.main === module) {
+	const port = Number(process.argv[2]) || 1080;
+	const options = {failureRate: Number(process.env.TUS_FAILURE_RATE) || 0};
+	if (process.argv[3]) options.dir = process.argv[3];
+	createTusServer(options).listen(port, () => {
+		console.log('tus server listening on http://localhost:' + port + '/files/');
+	});
+}
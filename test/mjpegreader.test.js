@@ -0,0 +1,106 @@
+/**
+ * Round trip tests of MJPEGBuilder (js/mjpegaudio.js) and MJPEGReader (js/mjpegreader.js)
+ *
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// the scripts are browser scripts that export to window
+global.window = global;
+require('../js/mjpegaudio.js');
+require('../js/mjpegreader.js');
+
+const FPS = 10;
+const SAMPLE_RATE = 8000;
+
+// fake JPEGs, only their bytes matter
+const createFrames = (count) => {
+	const frames = [];
+	for (let i = 0; i < count; i++) {
+		const frame = new Uint8Array(100 + i * 2);
+		frame.set([0xff, 0xd8]);
+		frame.fill(i, 2, frame.length - 2);
+		frame.set([0xff, 0xd9], frame.length - 2);
+		frames.push(frame);
+	}
+	return frames;
+};
+
+// 16-bit mono PCM
+const createAudio = (seconds) => {
+	const samples = new Int16Array(SAMPLE_RATE * seconds);
+	for (let i = 0; i < samples.length; i++) samples[i] = Math.round(Math.sin(i / 10) * 10000);
+	return new Uint8Array(samples.buffer);
+};
+
+const build = async (frames, audio, options) => {
+	const mjpeg = new MJPEGBuilder();
+	mjpeg.setup(64, 48, FPS, options);
+	frames.forEach((frame) => mjpeg.addFrame(frame));
+	if (audio) mjpeg.addAudio(new Blob([audio]), 1, SAMPLE_RATE);
+	return mjpeg.finish().arrayBuffer();
+};
+
+const bytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+for (const openDML of [false, true]) {
+	test((openDML ? 'OpenDML' : 'classic') + ' AVI with audio', async () => {
+		const frames = createFrames(20);
+		const audio = createAudio(2);
+		const reader = await MJPEGReader.read(new Blob([await build(frames, audio, {openDML: openDML})]));
+
+		assert.strictEqual(reader.isOpenDML, openDML);
+		assert.strictEqual(reader.getFrameCount(), frames.length);
+		assert.strictEqual(reader.totalFrames, frames.length);
+		const read = reader.getFrames();
+		for (let i = 0; i < frames.length; i++) {
+			assert.deepStrictEqual(await bytes(read[i].blob), frames[i], 'frame ' + i);
+			assert.ok(Math.abs(read[i].timestamp - i / FPS) < 1e-9);
+		}
+		assert.strictEqual(reader.getDuration(), frames.length / FPS);
+
+		const video = reader.getVideoStream();
+		assert.strictEqual(video.format.width, 64);
+		assert.strictEqual(video.format.height, 48);
+		assert.strictEqual(video.header.rate / video.header.scale, FPS);
+
+		const track = reader.getAudio();
+		assert.strictEqual(track.format.formatTag, 1);
+		assert.strictEqual(track.format.numChannels, 1);
+		assert.strictEqual(track.format.sampleRate, SAMPLE_RATE);
+		assert.strictEqual(track.format.bitsPerSample, 16);
+		assert.strictEqual(track.format.blockAlign, 2);
+		assert.strictEqual(track.duration, 2);
+		assert.deepStrictEqual(await bytes(track.blob), audio);
+	});
+}
+
+test('AVI without audio, with odd-sized frames', async () => {
+	const frames = createFrames(5).map((frame) => frame.subarray(1));
+	const reader = new MJPEGReader(await build(frames));
+
+	assert.strictEqual(reader.getAudio(), null);
+	assert.strictEqual(reader.getFrameCount(), frames.length);
+	for (let i = 0; i < frames.length; i++) {
+		// frames are padded to an even size
+		const read = await bytes(reader.getFrame(i).blob);
+		assert.deepStrictEqual(read.subarray(0, frames[i].length), frames[i], 'frame ' + i);
+	}
+	assert.throws(() => reader.getFrame(frames.length), RangeError);
+});
+
+test('rejects truncated and invalid input', async () => {
+	for (const openDML of [false, true]) {
+		const buffer = await build(createFrames(20), createAudio(2), {openDML: openDML});
+		for (const length of [0, 8, 100, buffer.byteLength / 2, buffer.byteLength - 4]) {
+			assert.throws(() => new MJPEGReader(buffer.slice(0, length)), Error, length + ' of ' + buffer.byteLength + ' bytes');
+		}
+		await assert.rejects(MJPEGReader.read(new Blob([buffer.slice(0, buffer.byteLength / 2)])));
+	}
+	assert.throws(() => new MJPEGReader(new TextEncoder().encode('RIFF\x04\x00\x00\x00WAVE').buffer), /not an AVI/);
+	assert.throws(() => new MJPEGReader(new Uint8Array(16)), TypeError);
+});
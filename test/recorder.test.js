@@ -0,0 +1,185 @@
+/**
+ * Tests the audio encodings of Recorder (js/recorder.js) in AVIs read back with MJPEGReader
+ *
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Recorder = require('../js/recorder.js');
+// the AVI scripts are browser scripts that export to window
+global.window = global;
+require('../js/mjpegaudio.js');
+require('../js/mjpegreader.js');
+
+const SAMPLE_RATE = 8000;
+
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+const IMA_STEP_TABLE = [
+	7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45, 50, 55, 60,
+	66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307, 337, 371,
+	408, 449, 494, 544, 598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878,
+	2066, 2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845,
+	8630, 9493, 10442, 11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086,
+	29794, 32767
+];
+
+// the conversion of the Recorder, applied to the Float32 samples it receives
+const to16Bit = (sample) => {
+	const s = Math.max(-1, Math.min(1, Math.fround(sample)));
+	return (s < 0 ? s * 0x8000 : s * 0x7FFF) | 0;
+};
+
+// G.711 reference decoders (Sun Microsystems), they return the value and the step of its segment
+const decodeMuLaw = (code) => {
+	code = ~code & 0xFF;
+	const seg = (code & 0x70) >> 4;
+	const t = (((code & 0x0F) << 3) + 0x84) << seg;
+	return {value: code & 0x80 ? 0x84 - t : t - 0x84, step: 8 << seg};
+};
+
+const decodeALaw = (code) => {
+	code ^= 0x55;
+	const seg = (code & 0x70) >> 4;
+	let t = (code & 0x0F) << 4;
+	if (seg == 0) t += 8;
+	else t = (t + 0x108) << Math.max(0, seg - 1);
+	return {value: code & 0x80 ? t : -t, step: 16 << Math.max(0, seg - 1)};
+};
+
+// Microsoft IMA ADPCM, returns the decoded samples of each channel and the step used for each
+const decodeIMAADPCM = (data, numChannels, blockAlign, samplesPerBlock) => {
+	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+	const channels = [];
+	for (let channel = 0; channel < numChannels; channel++) channels.push({values: [], steps: []});
+	for (let offset = 0; offset + blockAlign <= data.length; offset += blockAlign) {
+		const states = [];
+		let pos = offset;
+		for (let channel = 0; channel < numChannels; channel++) {
+			states.push({predictor: view.getInt16(pos, true), index: data[pos + 2]});
+			channels[channel].values.push(states[channel].predictor);
+			channels[channel].steps.push(0);
+			pos += 4;
+		}
+		for (let group = 0; group < (samplesPerBlock - 1) / 8; group++) {
+			for (let channel = 0; channel < numChannels; channel++) {
+				for (let i = 0; i < 4; i++) {
+					const byte = data[pos++];
+					for (const nibble of [byte & 0x0F, byte >> 4]) {
+						const state = states[channel];
+						const step = IMA_STEP_TABLE[state.index];
+						let diff = step >> 3;
+						if (nibble & 4) diff += step;
+						if (nibble & 2) diff += step >> 1;
+						if (nibble & 1) diff += step >> 2;
+						state.predictor = Math.max(-32768, Math.min(32767, state.predictor + (nibble & 8 ? -diff : diff)));
+						state.index = Math.max(0, Math.min(88, state.index + IMA_INDEX_TABLE[nibble]));
+						channels[channel].values.push(state.predictor);
+						channels[channel].steps.push(step);
+					}
+				}
+			}
+		}
+	}
+	return channels;
+};
+
+// records the stereo input with the encoding, returns the audio track of an AVI with it
+const recordAVI = async (left, right, encoding) => {
+	const node = {connect() {}, disconnect() {}};
+	const context = {
+		sampleRate: SAMPLE_RATE,
+		destination: node,
+		createGain: () => ({gain: {value: 1}, connect() {}, disconnect() {}}),
+		createScriptProcessor: () => node
+	};
+	const recorder = new Recorder({context: context, connect() {}, disconnect() {}}, {
+		numChannels: 2,
+		useWorklet: false,
+		encoding: encoding
+	});
+	recorder.record();
+	for (let offset = 0; offset < left.length; offset += 4096) {
+		recorder.onBuffer([left.subarray(offset, offset + 4096), right.subarray(offset, offset + 4096)]);
+	}
+	const [blob, numChannels, sampleRate, format] = await recorder.exportRaw();
+	recorder.dispose();
+
+	const mjpeg = new MJPEGBuilder();
+	mjpeg.setup(16, 16, 10);
+	mjpeg.addFrame(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]));
+	mjpeg.addAudio(blob, numChannels, sampleRate, format);
+	const reader = new MJPEGReader(await mjpeg.finish().arrayBuffer());
+	const audio = reader.getAudio();
+	return {
+		data: new Uint8Array(await audio.blob.arrayBuffer()),
+		format: audio.format
+	};
+};
+
+// every 16 bit value, the right channel is reversed
+const createRamp = () => {
+	const left = new Float32Array(65536);
+	for (let i = 0; i < left.length; i++) {
+		const value = i - 32768;
+		left[i] = value < 0 ? value / 0x8000 : value / 0x7FFF;
+	}
+	return [left, left.slice().reverse()];
+};
+
+for (const [encoding, formatTag, decode] of [['mulaw', 7, decodeMuLaw], ['alaw', 6, decodeALaw]]) {
+	test(encoding + ' stays within one quantisation step', async () => {
+		const [left, right] = createRamp();
+		const audio = await recordAVI(left, right, encoding);
+
+		assert.strictEqual(audio.format.formatTag, formatTag);
+		assert.strictEqual(audio.format.numChannels, 2);
+		assert.strictEqual(audio.format.sampleRate, SAMPLE_RATE);
+		assert.strictEqual(audio.format.bitsPerSample, 8);
+		assert.strictEqual(audio.format.blockAlign, 2);
+		assert.strictEqual(audio.data.length, left.length * 2);
+		for (let i = 0; i < left.length; i++) {
+			for (const [channel, input] of [[0, left], [1, right]]) {
+				const expected = to16Bit(input[i]);
+				const decoded = decode(audio.data[i * 2 + channel]);
+				assert.ok(Math.abs(decoded.value - expected) <= decoded.step,
+					expected + ' was decoded as ' + decoded.value + ' (step ' + decoded.step + ')');
+			}
+		}
+	});
+}
+
+test('ima-adpcm follows the input within one step', async () => {
+	// ADPCM encodes differences, so a signal that changes slowly enough to be followed
+	const left = new Float32Array(SAMPLE_RATE * 2);
+	const right = new Float32Array(left.length);
+	for (let i = 0; i < left.length; i++) {
+		left[i] = Math.sin(2 * Math.PI * 100 * i / SAMPLE_RATE) * 0.5;
+		right[i] = (i / left.length) * 1.8 - 0.9;
+	}
+	const audio = await recordAVI(left, right, 'ima-adpcm');
+
+	const format = audio.format;
+	assert.strictEqual(format.formatTag, 0x11);
+	assert.strictEqual(format.numChannels, 2);
+	assert.strictEqual(format.bitsPerSample, 4);
+	assert.strictEqual(format.blockAlign, 512);
+	const samplesPerBlock = format.extra[0] | (format.extra[1] << 8);
+	assert.strictEqual(samplesPerBlock, (format.blockAlign - 8) + 1);
+
+	const channels = decodeIMAADPCM(audio.data, 2, format.blockAlign, samplesPerBlock);
+	for (const [channel, input] of [[0, left], [1, right]]) {
+		const decoded = channels[channel];
+		// the last block is padded with silence
+		assert.strictEqual(decoded.values.length, Math.ceil(input.length / samplesPerBlock) * samplesPerBlock);
+		// the first samples are needed to adapt the step size
+		for (let i = 32; i < input.length; i++) {
+			const expected = to16Bit(input[i]);
+			assert.ok(Math.abs(decoded.values[i] - expected) <= Math.max(decoded.steps[i], 8),
+				'sample ' + i + ': ' + expected + ' was decoded as ' + decoded.values[i] + ' (step ' + decoded.steps[i] + ')');
+		}
+	}
+});
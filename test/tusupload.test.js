@@ -0,0 +1,120 @@
+/**
+ * Tests TusUpload (js/tusupload.js) against the reference server (server/tus-server.js)
+ *
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const createTusServer = require('../server/tus-server.js');
+
+// tusupload.js is a browser script that exports to window
+global.window = global;
+require('../js/tusupload.js');
+
+const listen = (server) => new Promise((resolve) => {
+	server.listen(0, '127.0.0.1', () => resolve('http://127.0.0.1:' + server.address().port + '/files/'));
+});
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+const storedPath = (dir, uploadUrl) => path.join(dir, uploadUrl.split('/').pop());
+
+test('resumes an upload after an interrupted PATCH', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+	t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+	const data = crypto.randomBytes(300000);
+	const blob = new Blob([data], {type: 'video/webm'});
+
+	// this server drops every PATCH halfway through the body
+	let server = createTusServer({dir: dir, shouldFail: () => true});
+	let endpoint = await listen(server);
+	const first = new TusUpload(blob, endpoint, {
+		chunkSize: data.length,
+		retryDelays: [],
+		metadata: {filename: 'recording.webm'}
+	});
+	await assert.rejects(first.start());
+	assert.ok(first.uploadUrl, 'the upload was created');
+	// HEAD is answered when the received data is written
+	const response = await fetch(first.uploadUrl, {method: 'HEAD', headers: {'Tus-Resumable': '1.0.0'}});
+	const offset = Number(response.headers.get('Upload-Offset'));
+	await close(server);
+	const partial = fs.readFileSync(storedPath(dir, first.uploadUrl));
+	assert.strictEqual(partial.length, offset);
+	assert.strictEqual(offset, data.length / 2, 'half of the data was stored');
+	assert.deepStrictEqual(partial, data.subarray(0, partial.length));
+
+	// a restarted server continues with the stored upload
+	server = createTusServer({dir: dir});
+	endpoint = await listen(server);
+	t.after(() => close(server));
+	const uploadUrl = new URL(first.uploadUrl.split('/').pop(), endpoint).href;
+	const progress = [];
+	const second = new TusUpload(blob, endpoint, {
+		uploadUrl: uploadUrl,
+		chunkSize: 65536,
+		onprogress: (bytesUploaded) => progress.push(bytesUploaded)
+	});
+	assert.strictEqual(await second.start(), uploadUrl);
+	assert.strictEqual(progress[0], partial.length, 'the upload continued at the stored offset');
+	assert.strictEqual(progress[progress.length - 1], data.length);
+	assert.deepStrictEqual(fs.readFileSync(storedPath(dir, uploadUrl)), data);
+	const info = JSON.parse(fs.readFileSync(storedPath(dir, uploadUrl) + '.json', 'utf8'));
+	assert.deepStrictEqual(info, {length: data.length, metadata: {filename: 'recording.webm'}});
+});
+
+test('retries dropped requests until the upload is complete', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+	t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+	// every third PATCH is dropped after half of its body
+	const dropped = [];
+	const server = createTusServer({dir: dir, shouldFail: (index) => {
+		if (index % 3 != 1) return false;
+		dropped.push(index);
+		return true;
+	}});
+	const requests = {POST: 0, HEAD: 0, PATCH: 0};
+	server.on('request', (req) => requests[req.method]++);
+	const endpoint = await listen(server);
+	t.after(() => close(server));
+	const data = crypto.randomBytes(200000);
+
+	// a single retry is enough, the retries start over after each successful request
+	const upload = new TusUpload(new Blob([data]), endpoint, {
+		chunkSize: 16384,
+		retryDelays: [0]
+	});
+	const uploadUrl = await upload.start();
+	assert.strictEqual(upload.bytesUploaded, data.length);
+	assert.deepStrictEqual(fs.readFileSync(storedPath(dir, uploadUrl)), data);
+	// the 5 dropped PATCHes stored half a chunk each, so 10 complete ones were needed, each
+	// retry asked for the offset (HEAD) and continued from there
+	assert.deepStrictEqual(dropped, [1, 4, 7, 10, 13]);
+	assert.deepStrictEqual(requests, {POST: 1, HEAD: 5, PATCH: 15});
+});
+
+test('rejects with an AbortError when aborted', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+	t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+	const server = createTusServer({dir: dir});
+	const endpoint = await listen(server);
+	t.after(() => close(server));
+
+	const controller = new AbortController();
+	const upload = new TusUpload(new Blob([crypto.randomBytes(100000)]), endpoint, {
+		chunkSize: 10000,
+		signal: controller.signal,
+		onprogress: (bytesUploaded) => {
+			if (bytesUploaded > 0) controller.abort();
+		}
+	});
+	await assert.rejects(upload.start(), {name: 'AbortError'});
+	assert.ok(upload.uploadUrl, 'the upload URL is kept for resuming');
+});